@@ -0,0 +1,589 @@
+const { openDb, closeDb } = require("./db_manager");
+const {
+  validateBookId,
+  validateUserId,
+  validateBookName,
+  validateAuthorName,
+  validateCategory,
+  validateLanguage,
+  sanitizeHtml,
+} = require("./validators");
+const searchCache = require("./search_cache");
+const logger = require("./logger");
+const config = require("./config");
+
+// Permissions granted to each admin role
+const ROLE_PERMISSIONS = {
+  owner: ["books", "users", "admins"],
+  admin: ["books", "users"],
+  moderator: ["users"],
+};
+
+// Book fields that can be changed with /admin_edit
+const EDITABLE_FIELDS = {
+  book_name: validateBookName,
+  author_name: validateAuthorName,
+  category: validateCategory,
+  language: validateLanguage,
+};
+
+/**
+ * Get the admin role of a user
+ * IDs listed in config.bot.adminIds are always owners.
+ * @param {number} userId - User ID
+ * @returns {Promise<string|null>} Role or null when not an admin
+ */
+async function getAdminRole(userId) {
+  if (config.bot.adminIds.includes(userId)) {
+    return "owner";
+  }
+
+  const db = await openDb();
+  try {
+    const admin = await db.get("SELECT role FROM admins WHERE user_id = ?", [
+      userId,
+    ]);
+    return admin ? admin.role : null;
+  } catch (error) {
+    logger.logError("Failed to get admin role", error, { userId });
+    return null;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Check whether a user holds a permission
+ * @param {number} userId - User ID
+ * @param {string} permission - Permission name (books, users, admins)
+ * @returns {Promise<boolean>} Has permission
+ */
+async function hasPermission(userId, permission) {
+  const role = await getAdminRole(userId);
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * Check whether a user is an admin of any role
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} Is admin
+ */
+async function isAdmin(userId) {
+  return (await getAdminRole(userId)) !== null;
+}
+
+/**
+ * Middleware factory that only lets admins through
+ * @param {string} permission - Required permission; any admin role when omitted
+ * @returns {Function} Telegraf middleware
+ */
+function requireAdmin(permission = null) {
+  return async (ctx, next) => {
+    const allowed =
+      ctx.from &&
+      (permission
+        ? await hasPermission(ctx.from.id, permission)
+        : await isAdmin(ctx.from.id));
+    if (!allowed) {
+      logger.logWarning("Unauthorized admin command", {
+        userId: ctx.from?.id,
+        permission,
+      });
+      if (ctx.callbackQuery) {
+        await ctx.answerCbQuery("⛔ غير مصرح لك");
+      } else {
+        await ctx.reply("⛔ هذا الأمر مخصص للمشرفين فقط.");
+      }
+      return;
+    }
+    return next();
+  };
+}
+
+/**
+ * Middleware that silently drops updates from banned users
+ * @param {object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function blockBannedUsers(ctx, next) {
+  if (ctx.from && (await isBanned(ctx.from.id))) {
+    logger.logDebug("Ignoring update from banned user", {
+      userId: ctx.from.id,
+    });
+    return;
+  }
+  return next();
+}
+
+/**
+ * Check if a user is banned
+ * @param {number} userId - User ID
+ * @returns {Promise<boolean>} Is banned
+ */
+async function isBanned(userId) {
+  const db = await openDb();
+  try {
+    const user = await db.get("SELECT is_banned FROM users WHERE user_id = ?", [
+      userId,
+    ]);
+    return !!(user && user.is_banned);
+  } catch (error) {
+    logger.logError("Failed to check ban status", error, { userId });
+    return false;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Write an entry to the admin audit log
+ * @param {number} adminId - Admin user ID
+ * @param {string} action - Action name (e.g. "edit", "delete")
+ * @param {string} tableName - Affected table
+ * @param {number} rowId - Affected row ID
+ * @param {object} details - Extra details (old/new values)
+ */
+async function logAdminAction(adminId, action, tableName, rowId, details = {}) {
+  const db = await openDb();
+  try {
+    await db.run(
+      `INSERT INTO admin_audit_log (admin_id, action, table_name, row_id, details)
+       VALUES (?, ?, ?, ?, ?)`,
+      [adminId, action, tableName, rowId, JSON.stringify(details)]
+    );
+    logger.logInfo("Admin action", { adminId, action, tableName, rowId });
+  } catch (error) {
+    logger.logError("Failed to write audit log", error, {
+      adminId,
+      action,
+      tableName,
+      rowId,
+    });
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Split a command payload into arguments
+ * @param {object} ctx - Telegraf context
+ * @param {number} count - Number of arguments; the last one keeps the rest
+ * @returns {Array<string>} Arguments
+ */
+function parseArgs(ctx, count) {
+  const parts = (ctx.payload || "").trim().split(/\s+/).filter(Boolean);
+  if (parts.length <= count) return parts;
+  return [...parts.slice(0, count - 1), parts.slice(count - 1).join(" ")];
+}
+
+/**
+ * Get a book by ID
+ * @param {number} bookId - Book ID
+ * @returns {Promise<object|undefined>} Book row
+ */
+async function getBook(bookId) {
+  const db = await openDb();
+  try {
+    return await db.get("SELECT * FROM usol_books WHERE id = ?", [bookId]);
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Update one field of a book and audit the change
+ * @param {number} adminId - Admin user ID
+ * @param {object} book - Current book row
+ * @param {string} field - Field name
+ * @param {string} value - New value
+ * @param {string} action - Audit action name
+ */
+async function updateBookField(adminId, book, field, value, action) {
+  const db = await openDb();
+  try {
+    await db.run(
+      `UPDATE usol_books SET ${field} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [value, book.id]
+    );
+  } finally {
+    await closeDb(db);
+  }
+
+  searchCache.flush();
+  await logAdminAction(adminId, action, "usol_books", book.id, {
+    field,
+    old: book[field],
+    new: value,
+  });
+}
+
+/**
+ * /admin_edit <book_id> <field> <value>
+ * @param {object} ctx - Telegraf context
+ */
+async function handleEditBook(ctx) {
+  const [rawId, field, value] = parseArgs(ctx, 3);
+  const bookId = parseInt(rawId, 10);
+
+  if (!validateBookId(bookId) || !EDITABLE_FIELDS[field] || !value) {
+    await ctx.reply(
+      `ℹ️ الاستخدام: /admin_edit &lt;book_id&gt; &lt;field&gt; &lt;value&gt;\nالحقول: ${Object.keys(
+        EDITABLE_FIELDS
+      ).join(", ")}`,
+      { parse_mode: "HTML" }
+    );
+    return;
+  }
+
+  if (!EDITABLE_FIELDS[field](value)) {
+    await ctx.reply("❌ القيمة المدخلة غير صالحة.");
+    return;
+  }
+
+  const book = await getBook(bookId);
+  if (!book) {
+    await ctx.reply("❌ لم يتم العثور على الكتاب.");
+    return;
+  }
+
+  await updateBookField(ctx.from.id, book, field, value, "edit");
+  await ctx.reply(
+    `✅ تم تعديل <b>${field}</b> للكتاب /book_${bookId}\n«${sanitizeHtml(
+      String(book[field])
+    )}» ← «${sanitizeHtml(value)}»`,
+    { parse_mode: "HTML" }
+  );
+}
+
+/**
+ * /admin_move <book_id> <category>
+ * @param {object} ctx - Telegraf context
+ */
+async function handleMoveBook(ctx) {
+  const [rawId, category] = parseArgs(ctx, 2);
+  const bookId = parseInt(rawId, 10);
+
+  if (!validateBookId(bookId) || !validateCategory(category)) {
+    await ctx.reply(
+      "ℹ️ الاستخدام: /admin_move &lt;book_id&gt; &lt;category&gt;",
+      { parse_mode: "HTML" }
+    );
+    return;
+  }
+
+  const book = await getBook(bookId);
+  if (!book) {
+    await ctx.reply("❌ لم يتم العثور على الكتاب.");
+    return;
+  }
+
+  await updateBookField(ctx.from.id, book, "category", category, "move");
+  await ctx.reply(
+    `✅ تم نقل الكتاب /book_${bookId} من «${sanitizeHtml(
+      book.category || "غير محدد"
+    )}» إلى «${sanitizeHtml(category)}»`,
+    { parse_mode: "HTML" }
+  );
+}
+
+/**
+ * /admin_delete <book_id>
+ * @param {object} ctx - Telegraf context
+ */
+async function handleDeleteBook(ctx) {
+  const [rawId] = parseArgs(ctx, 1);
+  const bookId = parseInt(rawId, 10);
+
+  if (!validateBookId(bookId)) {
+    await ctx.reply("ℹ️ الاستخدام: /admin_delete &lt;book_id&gt;", {
+      parse_mode: "HTML",
+    });
+    return;
+  }
+
+  const book = await getBook(bookId);
+  if (!book) {
+    await ctx.reply("❌ لم يتم العثور على الكتاب.");
+    return;
+  }
+
+  const db = await openDb();
+  try {
+    await db.run("DELETE FROM usol_books WHERE id = ?", [bookId]);
+  } finally {
+    await closeDb(db);
+  }
+
+  searchCache.flush();
+  await logAdminAction(ctx.from.id, "delete", "usol_books", bookId, {
+    old: book,
+  });
+  await ctx.reply(
+    `🗑️ تم حذف الكتاب «${sanitizeHtml(book.book_name)}» (${bookId}).`,
+    { parse_mode: "HTML" }
+  );
+}
+
+/**
+ * Set the banned flag of a user and audit the change
+ * Admins can never be banned, whichever path the ban comes from.
+ * @param {number} adminId - Admin user ID
+ * @param {number} userId - Target user ID
+ * @param {boolean} banned - Ban or unban
+ * @param {string} reason - Optional reason
+ * @returns {Promise<boolean>} Success status (false when the user is unknown or an admin)
+ */
+async function setBanned(adminId, userId, banned, reason = null) {
+  if (banned && (await isAdmin(userId))) {
+    logger.logWarning("Refused to ban an admin", { adminId, userId });
+    return false;
+  }
+
+  const db = await openDb();
+  let result;
+  try {
+    result = await db.run("UPDATE users SET is_banned = ? WHERE user_id = ?", [
+      banned ? 1 : 0,
+      userId,
+    ]);
+  } finally {
+    await closeDb(db);
+  }
+
+  if (result.changes === 0) return false;
+
+  await logAdminAction(adminId, banned ? "ban" : "unban", "users", userId, {
+    reason,
+  });
+  return true;
+}
+
+/**
+ * Handle /admin_ban and /admin_unban
+ * @param {object} ctx - Telegraf context
+ * @param {boolean} banned - Ban or unban
+ */
+async function setUserBanned(ctx, banned) {
+  const [rawId, reason] = parseArgs(ctx, 2);
+  const userId = parseInt(rawId, 10);
+  const command = banned ? "/admin_ban" : "/admin_unban";
+
+  if (!validateUserId(userId)) {
+    await ctx.reply(`ℹ️ الاستخدام: ${command} &lt;user_id&gt; [reason]`, {
+      parse_mode: "HTML",
+    });
+    return;
+  }
+
+  if (banned && (await isAdmin(userId))) {
+    await ctx.reply("⛔ لا يمكن حظر مشرف.");
+    return;
+  }
+
+  if (!(await setBanned(ctx.from.id, userId, banned, reason || null))) {
+    await ctx.reply("❌ لم يتم العثور على المستخدم.");
+    return;
+  }
+
+  await ctx.reply(
+    banned
+      ? `🚫 تم حظر المستخدم ${userId}.`
+      : `✅ تم إلغاء حظر المستخدم ${userId}.`
+  );
+}
+
+/**
+ * /admin_ban <user_id> [reason]
+ * @param {object} ctx - Telegraf context
+ */
+async function handleBanUser(ctx) {
+  await setUserBanned(ctx, true);
+}
+
+/**
+ * /admin_unban <user_id>
+ * @param {object} ctx - Telegraf context
+ */
+async function handleUnbanUser(ctx) {
+  await setUserBanned(ctx, false);
+}
+
+/**
+ * /admin_add <user_id> <role>
+ * @param {object} ctx - Telegraf context
+ */
+async function handleAddAdmin(ctx) {
+  const [rawId, role] = parseArgs(ctx, 2);
+  const userId = parseInt(rawId, 10);
+
+  if (!validateUserId(userId) || !ROLE_PERMISSIONS[role]) {
+    await ctx.reply(
+      `ℹ️ الاستخدام: /admin_add &lt;user_id&gt; &lt;role&gt;\nالأدوار: ${Object.keys(
+        ROLE_PERMISSIONS
+      ).join(", ")}`,
+      { parse_mode: "HTML" }
+    );
+    return;
+  }
+
+  const db = await openDb();
+  try {
+    await db.run(
+      `INSERT INTO admins (user_id, role, added_by) VALUES (?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET role = excluded.role`,
+      [userId, role, ctx.from.id]
+    );
+  } finally {
+    await closeDb(db);
+  }
+
+  await logAdminAction(ctx.from.id, "grant", "admins", userId, { role });
+  await ctx.reply(`✅ تم تعيين المستخدم ${userId} بدور ${role}.`);
+}
+
+/**
+ * /admin_remove <user_id>
+ * @param {object} ctx - Telegraf context
+ */
+async function handleRemoveAdmin(ctx) {
+  const [rawId] = parseArgs(ctx, 1);
+  const userId = parseInt(rawId, 10);
+
+  if (!validateUserId(userId)) {
+    await ctx.reply("ℹ️ الاستخدام: /admin_remove &lt;user_id&gt;", {
+      parse_mode: "HTML",
+    });
+    return;
+  }
+
+  const db = await openDb();
+  let result;
+  try {
+    result = await db.run("DELETE FROM admins WHERE user_id = ?", [userId]);
+  } finally {
+    await closeDb(db);
+  }
+
+  if (result.changes === 0) {
+    await ctx.reply("❌ هذا المستخدم ليس مشرفاً.");
+    return;
+  }
+
+  await logAdminAction(ctx.from.id, "revoke", "admins", userId);
+  await ctx.reply(`✅ تم إلغاء صلاحيات المستخدم ${userId}.`);
+}
+
+/**
+ * /admin_log [book_id] - show recent audit entries
+ * @param {object} ctx - Telegraf context
+ */
+async function handleAuditLog(ctx) {
+  const [rawId] = parseArgs(ctx, 1);
+  const bookId = rawId ? parseInt(rawId, 10) : null;
+
+  const db = await openDb();
+  try {
+    let query = `
+      SELECT l.action, l.table_name, l.row_id, l.details, l.created_at,
+             l.admin_id, u.name AS admin_name
+      FROM admin_audit_log l
+      LEFT JOIN users u ON l.admin_id = u.user_id
+    `;
+    const params = [];
+
+    if (bookId) {
+      query += " WHERE l.table_name = 'usol_books' AND l.row_id = ?";
+      params.push(bookId);
+    }
+
+    query += " ORDER BY l.id DESC LIMIT 20";
+
+    const entries = await db.all(query, params);
+
+    if (entries.length === 0) {
+      await ctx.reply("📭 سجل التعديلات فارغ.");
+      return;
+    }
+
+    let message = "<b>📜 سجل تعديلات المشرفين:</b>\n\n";
+    entries.forEach((entry) => {
+      const details = JSON.parse(entry.details || "{}");
+      message += `🕒 ${entry.created_at}\n`;
+      message += `👤 ${sanitizeHtml(entry.admin_name || "")} (${
+        entry.admin_id
+      })\n`;
+      message += `🔧 ${entry.action} → ${entry.table_name}#${entry.row_id}\n`;
+      if (details.field) {
+        message += `   ${details.field}: «${sanitizeHtml(
+          String(details.old)
+        )}» ← «${sanitizeHtml(String(details.new))}»\n`;
+      }
+      message += "\n";
+    });
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    logger.logError("Failed to show audit log", error);
+    await ctx.reply("❌ حدث خطأ أثناء عرض السجل.");
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * /admin_help - list the admin commands available to the caller
+ * @param {object} ctx - Telegraf context
+ */
+async function handleAdminHelp(ctx) {
+  const role = await getAdminRole(ctx.from.id);
+  const permissions = ROLE_PERMISSIONS[role];
+
+  let message = `<b>🛡️ أوامر المشرفين</b> (${role})\n\n`;
+  if (permissions.includes("books")) {
+    message += "/add_book - إضافة كتاب جديد\n";
+    message +=
+      "/admin_edit &lt;id&gt; &lt;field&gt; &lt;value&gt; - تعديل كتاب\n";
+    message += "/admin_move &lt;id&gt; &lt;category&gt; - نقل كتاب إلى قسم\n";
+    message += "/admin_delete &lt;id&gt; - حذف كتاب\n";
+    message += "/quiz_pending - مراجعة أسئلة المسابقة المقترحة\n";
+    message += "/wanted - الكتب الأكثر طلباً وغير المتوفرة\n";
+  }
+  if (permissions.includes("users")) {
+    message += "/admin_ban &lt;user_id&gt; [reason] - حظر مستخدم\n";
+    message += "/admin_unban &lt;user_id&gt; - إلغاء الحظر\n";
+    message += "/reviews_queue - مراجعة التعليقات بانتظار الموافقة\n";
+  }
+  if (permissions.includes("admins")) {
+    message += "/admin_add &lt;user_id&gt; &lt;role&gt; - تعيين مشرف\n";
+    message += "/admin_remove &lt;user_id&gt; - إلغاء صلاحيات مشرف\n";
+    message += "/admin_features - تفعيل أو تعطيل ميزات البوت\n";
+    message += "/broadcast - إرسال رسالة جماعية إلى المستخدمين\n";
+  }
+  message += "/admin_log [book_id] - سجل التعديلات\n";
+  message += "/stats - إحصاءات الاستخدام (اليوم، 7 أيام، 30 يوماً)\n";
+  message += "/export - تقرير Excel للكتب والإحصاءات\n";
+
+  await ctx.reply(message, { parse_mode: "HTML" });
+}
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  getAdminRole,
+  hasPermission,
+  isAdmin,
+  isBanned,
+  requireAdmin,
+  blockBannedUsers,
+  logAdminAction,
+  setBanned,
+  parseArgs,
+  handleEditBook,
+  handleMoveBook,
+  handleDeleteBook,
+  handleBanUser,
+  handleUnbanUser,
+  handleAddAdmin,
+  handleRemoveAdmin,
+  handleAuditLog,
+  handleAdminHelp,
+};
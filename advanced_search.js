@@ -3,6 +3,16 @@ const { openDb } = require("./db_manager");
 const config = require("./config");
 const logger = require("./logger");
 const searchCache = require("./search_cache");
+const {
+  normalizePersianArabicChars,
+  sqlNormalizeExpression,
+  analyzeText,
+  tokenOverlap,
+} = require("./text_normalizer");
+
+// Columns needed to score and display a search result
+const RESULT_COLUMNS = `b.id, b.file_path, b.emergency_file_path, b.book_name,
+       b.author_name, b.category, b.request_count, b.total_requests`;
 
 /**
  * Convert Arabic/Persian numbers to English
@@ -30,21 +40,6 @@ function convertToEnglishDigits(inputStr) {
   return outputStr;
 }
 
-/**
- * Normalize Persian/Arabic characters for better matching
- */
-function normalizePersianArabicChars(text) {
-  return text
-    .replace(/ک/g, "ك")
-    .replace(/ی/g, "ي")
-    .replace(/ى/g, "ي")
-    .replace(/ئ/g, "ي")
-    .replace(/ؤ/g, "و")
-    .replace(/إ|أ|آ/g, "ا")
-    .replace(/ة/g, "ه")
-    .trim();
-}
-
 /**
  * Calculate similarity score between two strings
  * @param {string} str1 - First string
@@ -96,6 +91,26 @@ function levenshteinDistance(str1, str2) {
   return dp[m][n];
 }
 
+/**
+ * Score one field against the query
+ * Word stems are compared by overlap, so articles, affixes and word order
+ * do not matter; queries made only of stop words fall back to whole-string
+ * similarity.
+ * @param {string} field - Field value
+ * @param {string} normalizedQuery - Normalized lowercase query
+ * @param {Array<string>} queryStems - Analyzed query
+ * @returns {number} Similarity score (0-1)
+ */
+function scoreField(field, normalizedQuery, queryStems) {
+  const normalizedField = normalizePersianArabicChars(field.toLowerCase());
+  if (normalizedField === normalizedQuery) return 1.0;
+
+  if (queryStems.length === 0) {
+    return calculateSimilarity(normalizedField, normalizedQuery);
+  }
+  return tokenOverlap(queryStems, analyzeText(field));
+}
+
 /**
  * Score a book against search query with weighted fields
  * @param {object} book - Book object
@@ -104,21 +119,14 @@ function levenshteinDistance(str1, str2) {
  */
 function scoreBook(book, query) {
   const normalizedQuery = normalizePersianArabicChars(query.toLowerCase());
-  const normalizedBookName = normalizePersianArabicChars(
-    book.book_name.toLowerCase()
-  );
-  const normalizedAuthorName = normalizePersianArabicChars(
-    book.author_name.toLowerCase()
-  );
+  const queryStems = analyzeText(query);
 
   // Calculate similarity scores
-  const bookNameScore = calculateSimilarity(
-    normalizedBookName,
-    normalizedQuery
-  );
-  const authorNameScore = calculateSimilarity(
-    normalizedAuthorName,
-    normalizedQuery
+  const bookNameScore = scoreField(book.book_name, normalizedQuery, queryStems);
+  const authorNameScore = scoreField(
+    book.author_name,
+    normalizedQuery,
+    queryStems
   );
 
   // Apply weights from config
@@ -132,8 +140,126 @@ function scoreBook(book, query) {
   return totalScore + popularityBoost;
 }
 
+/**
+ * Build an FTS5 MATCH expression from the trigrams of a query
+ * Any shared trigram makes a book a candidate; bm25 ranks books sharing
+ * more of them first.
+ * @param {string} query - Normalized query
+ * @returns {string|null} MATCH expression (null when the query is too short)
+ */
+function buildTrigramMatch(query) {
+  const text = query.toLowerCase().replace(/"/g, " ").trim();
+  const trigrams = new Set();
+  for (let i = 0; i + 3 <= text.length; i++) {
+    const trigram = text.slice(i, i + 3);
+    if (trigram.trim().length === 3) {
+      trigrams.add(`"${trigram}"`);
+    }
+  }
+  return trigrams.size > 0 ? [...trigrams].join(" OR ") : null;
+}
+
+/**
+ * Count the parts (files) of a book
+ * @param {object} book - Book row
+ * @returns {number} Number of parts
+ */
+function getPartsCount(book) {
+  return book.file_path ? book.file_path.split("|").length : 0;
+}
+
+/**
+ * Build the category/author filter shared by both retrieval strategies
+ * Both sides are normalized, so "مؤلف:الطوسی" matches "الطوسي".
+ * @param {object} filters - Filters
+ * @param {string} filters.category - Category name
+ * @param {string} filters.author - Author name fragment
+ * @returns {object} SQL condition and params
+ */
+function buildFilters({ category = null, author = null }) {
+  let where = "";
+  const params = [];
+
+  if (category) {
+    where += ` AND ${sqlNormalizeExpression("b.category")} = ?`;
+    params.push(normalizePersianArabicChars(category));
+  }
+
+  if (author) {
+    where += ` AND ${sqlNormalizeExpression("b.author_name")} LIKE ?`;
+    params.push(`%${normalizePersianArabicChars(author)}%`);
+  }
+
+  return { where, params };
+}
+
+/**
+ * Load every book matching the filters (full table scan)
+ * @param {object} db - Database connection
+ * @param {object} filters - Category/author filters
+ * @returns {Promise<Array>} Candidate books
+ */
+async function getScanCandidates(db, filters) {
+  const { where, params } = buildFilters(filters);
+  return db.all(
+    `SELECT ${RESULT_COLUMNS}
+     FROM usol_books b
+     WHERE 1=1${where}`,
+    params
+  );
+}
+
+/**
+ * Load the best FTS5 matches for a query
+ * @param {object} db - Database connection
+ * @param {string} query - Normalized query
+ * @param {object} filters - Category/author filters
+ * @returns {Promise<Array|null>} Candidate books (null when the query is too short)
+ */
+async function getIndexCandidates(db, query, filters) {
+  const match = buildTrigramMatch(query);
+  if (!match) return null;
+
+  const { where, params } = buildFilters(filters);
+  const { bookName, authorName } = config.search.weights;
+  return db.all(
+    `SELECT ${RESULT_COLUMNS}
+     FROM books_fts
+     JOIN usol_books b ON b.id = books_fts.rowid
+     WHERE books_fts MATCH ?${where}
+     ORDER BY bm25(books_fts, ${bookName}, ${authorName})
+     LIMIT ?`,
+    [match, ...params, config.search.candidateLimit]
+  );
+}
+
+/**
+ * Load score boosts for books users picked from the results list of a query
+ * @param {object} db - Database connection
+ * @param {string} query - Normalized query
+ * @returns {Promise<Map>} Boost per book ID
+ */
+async function getSelectionBoosts(db, query) {
+  const rows = await db.all(
+    `SELECT book_id, COUNT(*) AS picks
+     FROM search_selections
+     WHERE search_query = ?
+     GROUP BY book_id`,
+    [query]
+  );
+  const { selectionBoost, maxSelectionBoost } = config.search;
+  return new Map(
+    rows.map((row) => [
+      row.book_id,
+      Math.min(row.picks * selectionBoost, maxSelectionBoost),
+    ])
+  );
+}
+
 /**
  * Advanced search with multiple strategies
+ * Candidates come from the FTS5 index (or a full scan when disabled or the
+ * query is shorter than a trigram) and are re-ranked with scoreBook.
  * @param {string} query - Search query
  * @param {object} options - Search options
  * @returns {Promise<Array>} Search results
@@ -144,6 +270,7 @@ async function advancedSearch(query, options = {}) {
     author = null,
     sortBy = "relevance", // relevance, popularity, name
     limit = config.search.maxSimilarResults,
+    useFullTextIndex = config.search.useFullTextIndex,
   } = options;
 
   // Normalize query
@@ -163,35 +290,16 @@ async function advancedSearch(query, options = {}) {
 
   const db = await openDb();
   try {
-    // Build query
-    let sqlQuery = `
-      SELECT id, file_path, emergency_file_path, book_name, author_name, 
-             category, request_count, total_requests
-      FROM usol_books
-      WHERE 1=1
-    `;
-    const params = [];
-
-    if (category) {
-      sqlQuery += " AND category = ?";
-      params.push(category);
-    }
-
-    if (author) {
-      sqlQuery += " AND author_name LIKE ?";
-      params.push(`%${author}%`);
-    }
-
-    const allBooks = await db.all(sqlQuery, params);
-
-    if (!allBooks || allBooks.length === 0) {
-      return [];
-    }
+    const filters = { category, author };
 
     // If query is purely numeric, try exact ID match first
     if (/^\d+$/.test(normalizedQuery)) {
-      const exactMatch = allBooks.find(
-        (book) => book.id === parseInt(normalizedQuery)
+      const { where, params } = buildFilters(filters);
+      const exactMatch = await db.get(
+        `SELECT ${RESULT_COLUMNS}
+         FROM usol_books b
+         WHERE b.id = ?${where}`,
+        [parseInt(normalizedQuery, 10), ...params]
       );
       if (exactMatch) {
         const result = [exactMatch];
@@ -200,10 +308,23 @@ async function advancedSearch(query, options = {}) {
       }
     }
 
-    // Score all books
-    const scoredBooks = allBooks.map((book) => ({
+    let candidates = null;
+    if (useFullTextIndex) {
+      candidates = await getIndexCandidates(db, normalizedQuery, filters);
+    }
+    if (!candidates) {
+      candidates = await getScanCandidates(db, filters);
+    }
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    // Score candidates; results users picked for this query rank higher
+    const boosts = await getSelectionBoosts(db, normalizedQuery);
+    const scoredBooks = candidates.map((book) => ({
       ...book,
-      score: scoreBook(book, normalizedQuery),
+      score: scoreBook(book, normalizedQuery) + (boosts.get(book.id) || 0),
     }));
 
     // Filter by minimum threshold
@@ -216,8 +337,8 @@ async function advancedSearch(query, options = {}) {
     } else if (sortBy === "name") {
       filteredBooks.sort((a, b) => a.book_name.localeCompare(b.book_name));
     } else {
-      // Sort by relevance (score)
-      filteredBooks.sort((a, b) => b.score - a.score);
+      // Sort by relevance (score); ties keep catalog order for both strategies
+      filteredBooks.sort((a, b) => b.score - a.score || a.id - b.id);
     }
 
     // Limit results
@@ -229,7 +350,7 @@ async function advancedSearch(query, options = {}) {
     logger.logInfo("Search completed", {
       query: normalizedQuery,
       resultsCount: results.length,
-      totalBooks: allBooks.length,
+      candidates: candidates.length,
     });
 
     return results;
@@ -290,7 +411,8 @@ async function getPopularBooks(limit = 10, category = null) {
   const db = await openDb();
   try {
     let query = `
-      SELECT id, book_name, author_name, category, request_count, total_requests
+      SELECT id, book_name, author_name, category, file_path, request_count,
+             total_requests
       FROM usol_books
       WHERE request_count > 0
     `;
@@ -328,29 +450,29 @@ async function multiFieldSearch(criteria) {
     const params = [];
 
     if (bookName) {
-      query += " AND book_name LIKE ?";
+      query += ` AND ${sqlNormalizeExpression("book_name")} LIKE ?`;
       params.push(`%${normalizePersianArabicChars(bookName)}%`);
     }
 
     if (authorName) {
-      query += " AND author_name LIKE ?";
+      query += ` AND ${sqlNormalizeExpression("author_name")} LIKE ?`;
       params.push(`%${normalizePersianArabicChars(authorName)}%`);
     }
 
     if (category) {
-      query += " AND category = ?";
-      params.push(category);
+      query += ` AND ${sqlNormalizeExpression("category")} = ?`;
+      params.push(normalizePersianArabicChars(category));
     }
 
+    query += " ORDER BY request_count DESC, id";
+
     const books = await db.all(query, params);
 
     // Filter by parts count if specified
     let filteredBooks = books;
     if (minParts || maxParts) {
       filteredBooks = books.filter((book) => {
-        const partsCount = book.file_path
-          ? book.file_path.split("|").length
-          : 0;
+        const partsCount = getPartsCount(book);
         if (minParts && partsCount < minParts) return false;
         if (maxParts && partsCount > maxParts) return false;
         return true;
@@ -373,5 +495,7 @@ module.exports = {
   multiFieldSearch,
   convertToEnglishDigits,
   normalizePersianArabicChars,
+  calculateSimilarity,
   scoreBook,
+  getPartsCount,
 };
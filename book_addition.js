@@ -0,0 +1,325 @@
+const { Markup } = require("telegraf");
+const { openDb, closeDb, insertBook } = require("./db_manager");
+const {
+  validateBookName,
+  validateAuthorName,
+  validateCategory,
+  validateLanguage,
+  sanitizeHtml,
+} = require("./validators");
+const { hasPermission, logAdminAction } = require("./admin");
+const { notifyBookRequesters } = require("./book_requests");
+const searchCache = require("./search_cache");
+const logger = require("./logger");
+const config = require("./config");
+
+/**
+ * Get the book draft of the current addition flow
+ * @param {object} ctx - Telegraf context
+ * @returns {object|null} Book draft or null when no flow is active
+ */
+function getDraft(ctx) {
+  if (ctx.session.addition_step !== "book" || !ctx.session.book_draft) {
+    return null;
+  }
+  return ctx.session.book_draft;
+}
+
+/**
+ * Reset the addition flow state
+ * @param {object} ctx - Telegraf context
+ */
+function clearDraft(ctx) {
+  delete ctx.session.addition_step;
+  delete ctx.session.book_draft;
+}
+
+/**
+ * Check if an uploaded document is a ZIP archive
+ * @param {object} document - Telegram document
+ * @returns {boolean} Is ZIP
+ */
+function isZipDocument(document) {
+  return (
+    document.mime_type === "application/zip" ||
+    /\.zip$/i.test(document.file_name || "")
+  );
+}
+
+/**
+ * Build the preview card of a book draft
+ * @param {object} draft - Book draft
+ * @returns {string} HTML card
+ */
+function formatPreview(draft) {
+  return `
+<b>📋 معاينة الكتاب الجديد:</b>
+
+📚 <b>اسم الكتاب : </b> ${sanitizeHtml(draft.book_name)}
+✍️ <b>اسم المؤلف : </b> ${sanitizeHtml(draft.author_name)}
+📂 <b>القسم : </b> ${sanitizeHtml(draft.category)}
+🌐 <b>اللغة : </b> ${config.books.languages[draft.language]}
+📄 <b>عدد الأجزاء : </b> ${draft.files.length}
+🗜️ <b>الملف المضغوط : </b> ${draft.zip_file_path ? "✅" : "❌"}
+  `.trim();
+}
+
+/**
+ * Start the book addition flow (gated by requireAdmin("books"))
+ * @param {object} ctx - Telegraf context
+ */
+async function startBookAddition(ctx) {
+  ctx.session.addition_step = "book";
+  ctx.session.book_draft = {
+    step: "name",
+    files: [],
+    zip_file_path: null,
+  };
+
+  await ctx.reply(
+    "📘 <b>إضافة كتاب جديد</b>\n\n✏️ أرسل اسم الكتاب:\n\n<i>للإلغاء أرسل /cancel</i>",
+    { parse_mode: "HTML" }
+  );
+  logger.logInfo("Book addition started", { userId: ctx.from.id });
+}
+
+/**
+ * Handle a text message while the book addition flow is active
+ * @param {object} ctx - Telegraf context
+ */
+async function handleBooksStep(ctx) {
+  const draft = getDraft(ctx);
+  if (!draft) return;
+
+  const text = ctx.message.text.trim();
+
+  switch (draft.step) {
+    case "name":
+      if (!validateBookName(text)) {
+        await ctx.reply("❌ اسم الكتاب غير صالح (الحد الأقصى 200 حرف).");
+        return;
+      }
+      draft.book_name = text;
+      draft.step = "author";
+      await ctx.reply("✍️ أرسل اسم المؤلف:");
+      break;
+
+    case "author":
+      if (!validateAuthorName(text)) {
+        await ctx.reply("❌ اسم المؤلف غير صالح (الحد الأقصى 150 حرفاً).");
+        return;
+      }
+      draft.author_name = text;
+      draft.step = "category";
+      await askCategory(ctx);
+      break;
+
+    case "category":
+      if (!validateCategory(text)) {
+        await ctx.reply("❌ اسم القسم غير صالح (الحد الأقصى 100 حرف).");
+        return;
+      }
+      draft.category = text;
+      draft.step = "language";
+      await askLanguage(ctx);
+      break;
+
+    case "language":
+      await ctx.reply("👆 يرجى اختيار اللغة من الأزرار أعلاه.");
+      break;
+
+    case "files":
+      await ctx.reply("📤 يرجى إرسال ملفات الكتاب، ثم الضغط على «✅ انتهيت».");
+      break;
+
+    case "preview":
+      await ctx.reply("👆 يرجى تأكيد الكتاب أو إلغاؤه من الأزرار أعلاه.");
+      break;
+
+    default:
+      clearDraft(ctx);
+  }
+}
+
+/**
+ * Ask for the book category, listing the existing ones
+ * @param {object} ctx - Telegraf context
+ */
+async function askCategory(ctx) {
+  const db = await openDb();
+  try {
+    const categories = await db.all(
+      "SELECT DISTINCT category FROM usol_books WHERE category IS NOT NULL ORDER BY category"
+    );
+
+    let message = "📂 أرسل اسم القسم:";
+    if (categories.length > 0) {
+      message += "\n\n<b>الأقسام الموجودة:</b>\n";
+      message += categories
+        .map((c) => `• <code>${sanitizeHtml(c.category)}</code>`)
+        .join("\n");
+    }
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Ask for the book language with inline buttons
+ * @param {object} ctx - Telegraf context
+ */
+async function askLanguage(ctx) {
+  const buttons = Object.entries(config.books.languages).map(([key, label]) =>
+    Markup.button.callback(label, `add_book_lang_${key}`)
+  );
+
+  await ctx.reply("🌐 اختر لغة الكتاب:", Markup.inlineKeyboard([buttons]));
+}
+
+/**
+ * Handle language selection
+ * @param {object} ctx - Telegraf context
+ * @param {string} language - Selected language key
+ */
+async function handleLanguageCallback(ctx, language) {
+  const draft = getDraft(ctx);
+  if (!draft || draft.step !== "language" || !validateLanguage(language)) {
+    await ctx.answerCbQuery("⚠️ انتهت صلاحية هذه العملية");
+    return;
+  }
+
+  draft.language = language;
+  draft.step = "files";
+
+  await ctx.answerCbQuery();
+  await ctx.editMessageText(
+    `🌐 اللغة: ${config.books.languages[language]}\n\n📤 أرسل ملفات الكتاب بالترتيب (PDF لكل جزء، وملف ZIP اختياري)، ثم اضغط «✅ انتهيت».`,
+    Markup.inlineKeyboard([
+      [Markup.button.callback("✅ انتهيت", "add_book_done")],
+    ])
+  );
+}
+
+/**
+ * Handle a document uploaded during the files step
+ * @param {object} ctx - Telegraf context
+ */
+async function handleBookDocument(ctx) {
+  const draft = getDraft(ctx);
+  if (!draft || draft.step !== "files") {
+    await ctx.reply("⚠️ لا يمكن استلام الملفات في هذه المرحلة.");
+    return;
+  }
+
+  const document = ctx.message.document;
+  if (isZipDocument(document)) {
+    draft.zip_file_path = document.file_id;
+  } else {
+    draft.files.push(document.file_id);
+  }
+
+  await ctx.reply(
+    `📥 تم استلام الملف. الأجزاء: ${draft.files.length}، الملف المضغوط: ${
+      draft.zip_file_path ? "✅" : "❌"
+    }`,
+    Markup.inlineKeyboard([
+      [Markup.button.callback("✅ انتهيت", "add_book_done")],
+    ])
+  );
+}
+
+/**
+ * Finish the files step and show the preview card
+ * @param {object} ctx - Telegraf context
+ */
+async function handleFilesDone(ctx) {
+  const draft = getDraft(ctx);
+  if (!draft || draft.step !== "files") {
+    await ctx.answerCbQuery("⚠️ انتهت صلاحية هذه العملية");
+    return;
+  }
+
+  if (draft.files.length === 0) {
+    await ctx.answerCbQuery("⚠️ أرسل ملفاً واحداً على الأقل");
+    return;
+  }
+
+  draft.step = "preview";
+  await ctx.answerCbQuery();
+  await ctx.reply(formatPreview(draft), {
+    parse_mode: "HTML",
+    reply_markup: Markup.inlineKeyboard([
+      [
+        Markup.button.callback("✅ تأكيد", "add_book_confirm"),
+        Markup.button.callback("❌ إلغاء", "add_book_cancel"),
+      ],
+    ]).reply_markup,
+  });
+}
+
+/**
+ * Save the previewed book
+ * @param {object} ctx - Telegraf context
+ */
+async function handleConfirm(ctx) {
+  const draft = getDraft(ctx);
+  if (
+    !draft ||
+    draft.step !== "preview" ||
+    !(await hasPermission(ctx.from.id, "books"))
+  ) {
+    await ctx.answerCbQuery("⚠️ انتهت صلاحية هذه العملية");
+    return;
+  }
+
+  try {
+    const bookId = await insertBook({
+      book_name: draft.book_name,
+      author_name: draft.author_name,
+      category: draft.category,
+      language: draft.language,
+      file_path: draft.files.join("|"),
+      zip_file_path: draft.zip_file_path,
+    });
+    clearDraft(ctx);
+    searchCache.flush();
+    await logAdminAction(ctx.from.id, "insert", "usol_books", bookId, {
+      new: { book_name: draft.book_name, author_name: draft.author_name },
+    });
+
+    await ctx.answerCbQuery("✅ تم الحفظ");
+    await ctx.editMessageText(
+      `${formatPreview(
+        draft
+      )}\n\n✅ <b>تمت إضافة الكتاب بنجاح:</b> /book_${bookId}`,
+      { parse_mode: "HTML" }
+    );
+    logger.logInfo("Book added by admin", { userId: ctx.from.id, bookId });
+    await notifyBookRequesters(ctx.telegram, [bookId]);
+  } catch (error) {
+    logger.logError("Failed to save new book", error, { userId: ctx.from.id });
+    await ctx.answerCbQuery("❌ حدث خطأ أثناء حفظ الكتاب");
+  }
+}
+
+/**
+ * Cancel the book addition flow
+ * @param {object} ctx - Telegraf context
+ */
+async function handleCancel(ctx) {
+  clearDraft(ctx);
+  await ctx.answerCbQuery();
+  await ctx.editMessageText("❌ تم إلغاء إضافة الكتاب.");
+}
+
+module.exports = {
+  startBookAddition,
+  handleBooksStep,
+  handleLanguageCallback,
+  handleBookDocument,
+  handleFilesDone,
+  handleConfirm,
+  handleCancel,
+};
@@ -0,0 +1,277 @@
+const { openDb, closeDb } = require("./db_manager");
+const {
+  scoreBook,
+  convertToEnglishDigits,
+  normalizePersianArabicChars,
+} = require("./advanced_search");
+const { parseSearchQuery } = require("./query_parser");
+const { sanitizeHtml } = require("./validators");
+const { getPageBounds, buildPager, sendPage } = require("./pagination");
+const logger = require("./logger");
+const config = require("./config");
+
+/**
+ * Normalize text the way search queries are normalized
+ * @param {string} text - Text
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return convertToEnglishDigits(normalizePersianArabicChars(text.toLowerCase()))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Key under which requests for the same title are grouped
+ * @param {string} query - Search query
+ * @returns {string} Request key
+ */
+function getRequestKey(query) {
+  return normalizeText(query);
+}
+
+/**
+ * Score a new book against a requested query
+ * Field filters must match (author as a substring, category exactly); the
+ * free text and phrases are then scored with scoreBook. A query made of
+ * filters only matches any book passing them.
+ * @param {object} book - Book row
+ * @param {string} query - Requested search query
+ * @returns {number} Score (0 when a filter does not match)
+ */
+function scoreRequestMatch(book, query) {
+  // Popularity must not decide whether a title matches
+  const candidate = { ...book, request_count: 0 };
+  const { value, error } = parseSearchQuery(query);
+  if (error || !value.hasSyntax) {
+    return scoreBook(candidate, query);
+  }
+
+  if (
+    value.author &&
+    !normalizeText(book.author_name).includes(normalizeText(value.author))
+  ) {
+    return 0;
+  }
+  if (
+    value.category &&
+    normalizeText(book.category || "") !== normalizeText(value.category)
+  ) {
+    return 0;
+  }
+
+  const text = [value.text, ...value.phrases].join(" ").trim();
+  return text ? scoreBook(candidate, text) : 1;
+}
+
+/**
+ * Store a request for a book that search could not find
+ * Asking again for a title that was already delivered opens a new request.
+ * @param {number} userId - User ID
+ * @param {string} query - Normalized search query
+ * @returns {Promise<boolean>} Created (false when already pending)
+ */
+async function saveBookRequest(userId, query) {
+  const db = await openDb();
+  try {
+    const result = await db.run(
+      `INSERT INTO book_requests (user_id, search_query) VALUES (?, ?)
+       ON CONFLICT(user_id, search_query) DO UPDATE SET
+         fulfilled_book_id = NULL,
+         notified_at = NULL,
+         created_at = CURRENT_TIMESTAMP
+       WHERE fulfilled_book_id IS NOT NULL`,
+      [userId, getRequestKey(query)]
+    );
+    return result.changes > 0;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Remember the query behind a "📩 request this book" message
+ * Queries are kept per message so each button files its own search; only
+ * the latest config.bookRequests.maxPendingButtons are kept.
+ * @param {object} ctx - Telegraf context
+ * @param {number} messageId - ID of the message carrying the button
+ * @param {string} query - Normalized search query
+ */
+function rememberMissingQuery(ctx, messageId, query) {
+  const queries = ctx.session.missing_queries || {};
+  queries[messageId] = query;
+
+  // Integer keys iterate in ascending order, so the oldest come first
+  const messageIds = Object.keys(queries);
+  const excess = messageIds.length - config.bookRequests.maxPendingButtons;
+  messageIds.slice(0, Math.max(excess, 0)).forEach((id) => delete queries[id]);
+  ctx.session.missing_queries = queries;
+}
+
+/**
+ * "📩 request this book" button under a search without results
+ * The query does not fit in callback data, so it is looked up by message.
+ * @param {object} ctx - Telegraf context
+ */
+async function handleBookRequest(ctx) {
+  const queries = ctx.session.missing_queries || {};
+  const messageId = ctx.callbackQuery.message
+    ? ctx.callbackQuery.message.message_id
+    : null;
+  const query = queries[messageId];
+  if (!query) {
+    await ctx.answerCbQuery("⚠️ انتهت صلاحية هذه العملية");
+    return;
+  }
+  delete queries[messageId];
+
+  const created = await saveBookRequest(ctx.from.id, query);
+  await ctx.answerCbQuery(
+    created ? "✅ تم تسجيل طلبك" : "ℹ️ طلبك مسجّل مسبقاً"
+  );
+  await ctx.editMessageText(
+    `📩 <b>تم تسجيل طلب الكتاب:</b> ${sanitizeHtml(
+      query
+    )}\n\nسنرسل لك رسالة فور إضافته إلى المكتبة.`,
+    { parse_mode: "HTML" }
+  );
+  logger.logInfo("Book requested", { userId: ctx.from.id, query, created });
+}
+
+/**
+ * /wanted - most requested titles that are still missing, paginated
+ * @param {object} ctx - Telegraf context
+ * @param {number} page - Page number (1-based)
+ */
+async function showMostWanted(ctx, page = 1) {
+  const db = await openDb();
+  try {
+    const { total } = await db.get(
+      `SELECT COUNT(DISTINCT search_query) AS total
+       FROM book_requests
+       WHERE fulfilled_book_id IS NULL`
+    );
+
+    if (total === 0) {
+      if (ctx.callbackQuery) await ctx.answerCbQuery();
+      await ctx.reply("📭 لا توجد طلبات كتب معلّقة.");
+      return;
+    }
+
+    const bounds = getPageBounds(total, page, config.bookRequests.perPage);
+    const requests = await db.all(
+      `SELECT search_query,
+              COUNT(*) AS requesters,
+              MAX(created_at) AS last_requested
+       FROM book_requests
+       WHERE fulfilled_book_id IS NULL
+       GROUP BY search_query
+       ORDER BY requesters DESC, last_requested DESC
+       LIMIT ? OFFSET ?`,
+      [bounds.limit, bounds.offset]
+    );
+
+    let message = "<b>📩 الكتب الأكثر طلباً (غير متوفرة):</b>\n\n";
+    requests.forEach((request, index) => {
+      message += `${bounds.offset + index + 1}. ${sanitizeHtml(
+        request.search_query
+      )}\n`;
+      message += `   👥 ${
+        request.requesters
+      } • 🕒 ${request.last_requested.slice(0, 10)}\n`;
+    });
+
+    await sendPage(
+      ctx,
+      message,
+      buildPager("wanted_page_", bounds.page, bounds.totalPages)
+    );
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Tell everyone waiting for one of the given books that it has arrived
+ * Each pending request is matched against the new books with scoreBook;
+ * matched requests are closed even when the message cannot be delivered.
+ * @param {object} telegram - Telegraf telegram instance
+ * @param {Array<number>} bookIds - IDs of the books just added
+ * @returns {Promise<number>} Number of users notified
+ */
+async function notifyBookRequesters(telegram, bookIds) {
+  if (bookIds.length === 0) return 0;
+
+  const db = await openDb();
+  let notified = 0;
+  try {
+    const books = await db.all(
+      `SELECT id, book_name, author_name, category FROM usol_books
+       WHERE id IN (${bookIds.map(() => "?").join(", ")})`,
+      bookIds
+    );
+    const pending = await db.all(
+      `SELECT id, user_id, search_query FROM book_requests
+       WHERE fulfilled_book_id IS NULL`
+    );
+
+    for (const request of pending) {
+      let best = null;
+      let bestScore = config.bookRequests.matchThreshold;
+      for (const book of books) {
+        const score = scoreRequestMatch(book, request.search_query);
+        if (score >= bestScore) {
+          best = book;
+          bestScore = score;
+        }
+      }
+      if (!best) continue;
+
+      await db.run(
+        "UPDATE book_requests SET fulfilled_book_id = ? WHERE id = ?",
+        [best.id, request.id]
+      );
+
+      try {
+        await telegram.sendMessage(
+          request.user_id,
+          `📬 <b>الكتاب الذي طلبته أصبح متوفراً!</b>\n\n🔍 طلبك: ${sanitizeHtml(
+            request.search_query
+          )}\n📚 ${sanitizeHtml(best.book_name)}\n✍️ ${sanitizeHtml(
+            best.author_name
+          )}\n\n📥 للتحميل: /book_${best.id}`,
+          { parse_mode: "HTML" }
+        );
+        await db.run(
+          "UPDATE book_requests SET notified_at = CURRENT_TIMESTAMP WHERE id = ?",
+          [request.id]
+        );
+        notified++;
+      } catch (error) {
+        logger.logWarning("Could not notify book requester", {
+          userId: request.user_id,
+          bookId: best.id,
+          error: error.message,
+        });
+      }
+    }
+  } catch (error) {
+    logger.logError("Failed to notify book requesters", error, { bookIds });
+  } finally {
+    await closeDb(db);
+  }
+
+  if (notified > 0) {
+    logger.logInfo("Book requesters notified", { bookIds, count: notified });
+  }
+  return notified;
+}
+
+module.exports = {
+  getRequestKey,
+  saveBookRequest,
+  rememberMissingQuery,
+  handleBookRequest,
+  showMostWanted,
+  notifyBookRequesters,
+};
@@ -0,0 +1,540 @@
+const { Markup } = require("telegraf");
+const { openDb, closeDb } = require("./db_manager");
+const { logAdminAction } = require("./admin");
+const { sanitizeHtml } = require("./validators");
+const logger = require("./logger");
+const config = require("./config");
+
+// Broadcasts being sent by this process, so a resume never doubles one
+const runningBroadcasts = new Set();
+
+/**
+ * Get the broadcast draft of the current flow
+ * @param {object} ctx - Telegraf context
+ * @returns {object|null} Draft or null when no flow is active
+ */
+function getDraft(ctx) {
+  return ctx.session.broadcast || null;
+}
+
+/**
+ * Check whether the flow is waiting for the message to broadcast
+ * Later steps use buttons, so other messages go to their usual handlers.
+ * @param {object} ctx - Telegraf context
+ * @returns {boolean} Waiting for content
+ */
+function isAwaitingContent(ctx) {
+  const draft = getDraft(ctx);
+  return !!draft && draft.step === "content";
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Label of a users.selected_language value
+ * @param {string|null} language - Stored language
+ * @returns {string} Label
+ */
+function getLanguageLabel(language) {
+  if (!language) return "الكل";
+  return config.books.languages[language] || language;
+}
+
+/**
+ * Build the WHERE clause selecting the users of a segment
+ * Banned users and users who blocked the bot are never included.
+ * @param {object} segment - {language, activeDays, hasFavorites}
+ * @returns {object} {where, params}
+ */
+function buildSegmentFilter(segment) {
+  const conditions = ["u.is_active = 1", "u.is_banned = 0"];
+  const params = [];
+
+  if (segment.language) {
+    conditions.push("u.selected_language = ?");
+    params.push(segment.language);
+  }
+  if (segment.activeDays > 0) {
+    conditions.push("u.last_activity >= datetime('now', ?)");
+    params.push(`-${segment.activeDays} days`);
+  }
+  if (segment.hasFavorites) {
+    conditions.push(
+      "EXISTS (SELECT 1 FROM user_favorites f WHERE f.user_id = u.user_id)"
+    );
+  }
+  return { where: conditions.join(" AND "), params };
+}
+
+/**
+ * Count the users of a segment
+ * @param {object} segment - Segment
+ * @returns {Promise<number>} Number of users
+ */
+async function countSegment(segment) {
+  const { where, params } = buildSegmentFilter(segment);
+  const db = await openDb();
+  try {
+    const row = await db.get(
+      `SELECT COUNT(*) AS count FROM users u WHERE ${where}`,
+      params
+    );
+    return row.count;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Describe a segment for the admin
+ * @param {object} segment - Segment
+ * @returns {string} HTML description
+ */
+function describeSegment(segment) {
+  return [
+    `🌐 اللغة: ${sanitizeHtml(getLanguageLabel(segment.language))}`,
+    `🕒 النشاط: ${
+      segment.activeDays > 0 ? `آخر ${segment.activeDays} يوماً` : "الكل"
+    }`,
+    `💖 لديهم مفضلة: ${segment.hasFavorites ? "نعم" : "لا يهم"}`,
+  ].join("\n");
+}
+
+/**
+ * Send broadcast content to one chat
+ * @param {object} telegram - Telegraf telegram instance
+ * @param {number} chatId - Target chat
+ * @param {object} content - {type, text, file_id, entities}
+ * @returns {Promise<object>} Sent message
+ */
+function sendContent(telegram, chatId, content) {
+  if (content.type === "photo") {
+    return telegram.sendPhoto(chatId, content.file_id, {
+      caption: content.text || undefined,
+      caption_entities: content.entities,
+    });
+  }
+  if (content.type === "document") {
+    return telegram.sendDocument(chatId, content.file_id, {
+      caption: content.text || undefined,
+      caption_entities: content.entities,
+    });
+  }
+  return telegram.sendMessage(chatId, content.text, {
+    entities: content.entities,
+  });
+}
+
+/**
+ * /broadcast - wait for the message to send (gated by requireAdmin("admins"))
+ * @param {object} ctx - Telegraf context
+ */
+async function startBroadcast(ctx) {
+  ctx.session.broadcast = {
+    step: "content",
+    segment: { language: null, activeDays: 0, hasFavorites: false },
+  };
+
+  await ctx.reply(
+    "📢 <b>رسالة جماعية</b>\n\n✏️ أرسل نص الرسالة أو صورة أو ملفاً (مع وصف اختياري):\n\n<i>للإلغاء أرسل /cancel</i>",
+    { parse_mode: "HTML" }
+  );
+  logger.logInfo("Broadcast started", { userId: ctx.from.id });
+}
+
+/**
+ * Take the text, photo or document sent after /broadcast
+ * @param {object} ctx - Telegraf context
+ */
+async function handleBroadcastContent(ctx) {
+  if (!isAwaitingContent(ctx)) return;
+  const draft = getDraft(ctx);
+
+  const message = ctx.message;
+  if (message.photo) {
+    draft.content = {
+      type: "photo",
+      // Telegram lists sizes smallest first
+      file_id: message.photo[message.photo.length - 1].file_id,
+      text: message.caption || "",
+      entities: message.caption_entities,
+    };
+  } else if (message.document) {
+    draft.content = {
+      type: "document",
+      file_id: message.document.file_id,
+      text: message.caption || "",
+      entities: message.caption_entities,
+    };
+  } else {
+    draft.content = {
+      type: "text",
+      text: message.text,
+      entities: message.entities,
+    };
+  }
+
+  draft.step = "segment";
+  await showSegmentMenu(ctx);
+}
+
+/**
+ * Show the segment filters with the number of matching users
+ * @param {object} ctx - Telegraf context
+ */
+async function showSegmentMenu(ctx) {
+  const draft = getDraft(ctx);
+  const count = await countSegment(draft.segment);
+
+  const message = `<b>👥 الفئة المستهدفة</b>\n\n${describeSegment(
+    draft.segment
+  )}\n\n📨 عدد المستلمين: <b>${count}</b>`;
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback("🌐 تغيير اللغة", "broadcast_segment_language")],
+    [Markup.button.callback("🕒 تغيير مدة النشاط", "broadcast_segment_active")],
+    [
+      Markup.button.callback(
+        "💖 أصحاب المفضلة فقط",
+        "broadcast_segment_favorites"
+      ),
+    ],
+    [
+      Markup.button.callback("👁 معاينة", "broadcast_preview"),
+      Markup.button.callback("❌ إلغاء", "broadcast_cancel"),
+    ],
+  ]);
+
+  const extra = {
+    parse_mode: "HTML",
+    reply_markup: keyboard.reply_markup,
+  };
+  if (ctx.callbackQuery) {
+    await ctx.editMessageText(message, extra);
+  } else {
+    await ctx.reply(message, extra);
+  }
+}
+
+/**
+ * Cycle one segment filter
+ * @param {object} ctx - Telegraf context
+ * @param {string} filter - "language", "active" or "favorites"
+ */
+async function handleSegmentChange(ctx, filter) {
+  const draft = getDraft(ctx);
+  if (!draft || draft.step !== "segment") {
+    await ctx.answerCbQuery("⚠️ انتهت صلاحية هذه العملية");
+    return;
+  }
+
+  const segment = draft.segment;
+  if (filter === "language") {
+    const db = await openDb();
+    let languages;
+    try {
+      languages = await db.all(
+        `SELECT DISTINCT selected_language FROM users
+         WHERE selected_language IS NOT NULL
+         ORDER BY selected_language`
+      );
+    } finally {
+      await closeDb(db);
+    }
+    const options = [null, ...languages.map((row) => row.selected_language)];
+    segment.language =
+      options[(options.indexOf(segment.language) + 1) % options.length];
+  } else if (filter === "active") {
+    const options = config.broadcast.activeDaysOptions;
+    segment.activeDays =
+      options[(options.indexOf(segment.activeDays) + 1) % options.length];
+  } else {
+    segment.hasFavorites = !segment.hasFavorites;
+  }
+
+  await ctx.answerCbQuery();
+  await showSegmentMenu(ctx);
+}
+
+/**
+ * Send the message to the admin exactly as users will see it
+ * @param {object} ctx - Telegraf context
+ */
+async function showPreview(ctx) {
+  const draft = getDraft(ctx);
+  if (!draft || draft.step !== "segment") {
+    await ctx.answerCbQuery("⚠️ انتهت صلاحية هذه العملية");
+    return;
+  }
+
+  const count = await countSegment(draft.segment);
+  await ctx.answerCbQuery();
+  await sendContent(ctx.telegram, ctx.chat.id, draft.content);
+  await ctx.reply(
+    `👁 <b>معاينة الرسالة أعلاه</b>\n\n${describeSegment(
+      draft.segment
+    )}\n\n📨 سيتم الإرسال إلى <b>${count}</b> مستخدم.`,
+    {
+      parse_mode: "HTML",
+      reply_markup: Markup.inlineKeyboard([
+        [
+          Markup.button.callback("✅ إرسال", "broadcast_send"),
+          Markup.button.callback("✏️ تعديل الفئة", "broadcast_edit"),
+        ],
+        [Markup.button.callback("❌ إلغاء", "broadcast_cancel")],
+      ]).reply_markup,
+    }
+  );
+}
+
+/**
+ * Go back from the preview to the segment filters
+ * @param {object} ctx - Telegraf context
+ */
+async function handleEditSegment(ctx) {
+  const draft = getDraft(ctx);
+  if (!draft || draft.step !== "segment") {
+    await ctx.answerCbQuery("⚠️ انتهت صلاحية هذه العملية");
+    return;
+  }
+  await ctx.answerCbQuery();
+  await showSegmentMenu(ctx);
+}
+
+/**
+ * Store the broadcast with one pending delivery per recipient and start
+ * sending in the background
+ * @param {object} ctx - Telegraf context
+ */
+async function confirmBroadcast(ctx) {
+  const draft = getDraft(ctx);
+  if (!draft || draft.step !== "segment") {
+    await ctx.answerCbQuery("⚠️ انتهت صلاحية هذه العملية");
+    return;
+  }
+  delete ctx.session.broadcast;
+
+  const { where, params } = buildSegmentFilter(draft.segment);
+  const db = await openDb();
+  let broadcastId;
+  let total;
+  try {
+    await db.exec("BEGIN");
+    const result = await db.run(
+      `INSERT INTO broadcasts (admin_id, content_type, text, file_id, entities, segment)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        ctx.from.id,
+        draft.content.type,
+        draft.content.text,
+        draft.content.file_id || null,
+        draft.content.entities ? JSON.stringify(draft.content.entities) : null,
+        JSON.stringify(draft.segment),
+      ]
+    );
+    broadcastId = result.lastID;
+    const deliveries = await db.run(
+      `INSERT INTO broadcast_deliveries (broadcast_id, user_id)
+       SELECT ?, u.user_id FROM users u WHERE ${where}`,
+      [broadcastId, ...params]
+    );
+    total = deliveries.changes;
+    await db.run("UPDATE broadcasts SET total = ? WHERE id = ?", [
+      total,
+      broadcastId,
+    ]);
+    await db.exec("COMMIT");
+  } catch (error) {
+    await db.exec("ROLLBACK").catch(() => {});
+    throw error;
+  } finally {
+    await closeDb(db);
+  }
+
+  await logAdminAction(ctx.from.id, "broadcast", "broadcasts", broadcastId, {
+    segment: draft.segment,
+    total,
+  });
+  await ctx.answerCbQuery("🚀");
+  await ctx.editMessageText(
+    `🚀 <b>بدأ إرسال الرسالة #${broadcastId}</b> إلى ${total} مستخدم.\nسيصلك تقرير عند الانتهاء.`,
+    { parse_mode: "HTML" }
+  );
+
+  runBroadcast(ctx.telegram, broadcastId).catch((error) =>
+    logger.logError("Broadcast failed", error, { broadcastId })
+  );
+}
+
+/**
+ * Cancel the broadcast flow
+ * @param {object} ctx - Telegraf context
+ */
+async function cancelBroadcast(ctx) {
+  delete ctx.session.broadcast;
+  await ctx.answerCbQuery();
+  await ctx.editMessageText("❌ تم إلغاء الرسالة الجماعية.");
+}
+
+/**
+ * Send to one user, waiting and retrying when Telegram answers 429
+ * @param {object} telegram - Telegraf telegram instance
+ * @param {number} userId - Recipient
+ * @param {object} content - Broadcast content
+ * @returns {Promise<object>} {status, attempts, error}
+ */
+async function deliverWithRetry(telegram, userId, content) {
+  const { maxRetries } = config.broadcast;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await sendContent(telegram, userId, content);
+      return { status: "sent", attempts: attempt, error: null };
+    } catch (error) {
+      if (error.code === 429 && attempt <= maxRetries) {
+        const retryAfter =
+          (error.parameters && error.parameters.retry_after) || 1;
+        logger.logWarning("Broadcast rate limited by Telegram", {
+          userId,
+          retryAfter,
+        });
+        await sleep(retryAfter * 1000);
+        continue;
+      }
+      // 403: the user blocked the bot or deleted their account
+      return {
+        status: error.code === 403 ? "blocked" : "failed",
+        attempts: attempt,
+        error: error.description || error.message,
+      };
+    }
+  }
+}
+
+/**
+ * Send every pending delivery of a broadcast at config.broadcast.messagesPerSecond
+ * Results are stored as they happen, so an interrupted broadcast resumes
+ * where it stopped.
+ * @param {object} telegram - Telegraf telegram instance
+ * @param {number} broadcastId - Broadcast ID
+ */
+async function runBroadcast(telegram, broadcastId) {
+  if (runningBroadcasts.has(broadcastId)) return;
+  runningBroadcasts.add(broadcastId);
+
+  const db = await openDb();
+  try {
+    const broadcast = await db.get("SELECT * FROM broadcasts WHERE id = ?", [
+      broadcastId,
+    ]);
+    const content = {
+      type: broadcast.content_type,
+      text: broadcast.text,
+      file_id: broadcast.file_id,
+      entities: broadcast.entities ? JSON.parse(broadcast.entities) : undefined,
+    };
+    const pending = await db.all(
+      `SELECT user_id FROM broadcast_deliveries
+       WHERE broadcast_id = ? AND status = 'pending'
+       ORDER BY id`,
+      [broadcastId]
+    );
+
+    const interval = 1000 / config.broadcast.messagesPerSecond;
+    for (const { user_id: userId } of pending) {
+      const startedAt = Date.now();
+      const result = await deliverWithRetry(telegram, userId, content);
+
+      await db.run(
+        `UPDATE broadcast_deliveries
+         SET status = ?, attempts = ?, error = ?, sent_at = CURRENT_TIMESTAMP
+         WHERE broadcast_id = ? AND user_id = ?`,
+        [result.status, result.attempts, result.error, broadcastId, userId]
+      );
+      if (result.status === "blocked") {
+        await db.run("UPDATE users SET is_active = 0 WHERE user_id = ?", [
+          userId,
+        ]);
+      }
+
+      await sleep(Math.max(0, interval - (Date.now() - startedAt)));
+    }
+
+    const counts = await db.get(
+      `SELECT
+         SUM(CASE WHEN status = 'sent' THEN 1 ELSE 0 END) AS sent,
+         SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+         SUM(CASE WHEN status = 'blocked' THEN 1 ELSE 0 END) AS blocked
+       FROM broadcast_deliveries WHERE broadcast_id = ?`,
+      [broadcastId]
+    );
+    await db.run(
+      `UPDATE broadcasts
+       SET status = 'done', sent = ?, failed = ?, blocked = ?,
+           finished_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [counts.sent || 0, counts.failed || 0, counts.blocked || 0, broadcastId]
+    );
+
+    logger.logInfo("Broadcast finished", { broadcastId, ...counts });
+    await telegram
+      .sendMessage(
+        broadcast.admin_id,
+        `📊 <b>انتهى إرسال الرسالة #${broadcastId}</b>\n\n✅ وصلت: ${
+          counts.sent || 0
+        }\n🚫 حظروا البوت: ${counts.blocked || 0}\n❌ فشلت: ${
+          counts.failed || 0
+        }`,
+        { parse_mode: "HTML" }
+      )
+      .catch((error) =>
+        logger.logError("Failed to send broadcast report", error, {
+          broadcastId,
+        })
+      );
+  } finally {
+    runningBroadcasts.delete(broadcastId);
+    await closeDb(db);
+  }
+}
+
+/**
+ * Continue broadcasts interrupted by a restart
+ * @param {object} telegram - Telegraf telegram instance
+ */
+async function resumeBroadcasts(telegram) {
+  const db = await openDb();
+  let broadcasts;
+  try {
+    broadcasts = await db.all(
+      "SELECT id FROM broadcasts WHERE status = 'sending' ORDER BY id"
+    );
+  } finally {
+    await closeDb(db);
+  }
+
+  for (const { id } of broadcasts) {
+    logger.logInfo("Resuming broadcast", { broadcastId: id });
+    await runBroadcast(telegram, id).catch((error) =>
+      logger.logError("Broadcast failed", error, { broadcastId: id })
+    );
+  }
+}
+
+module.exports = {
+  startBroadcast,
+  isAwaitingContent,
+  handleBroadcastContent,
+  handleSegmentChange,
+  showPreview,
+  handleEditSegment,
+  confirmBroadcast,
+  cancelBroadcast,
+  runBroadcast,
+  resumeBroadcasts,
+};
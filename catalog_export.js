@@ -0,0 +1,197 @@
+const ExcelJS = require("exceljs");
+const { format } = require("date-fns");
+const { openDb, closeDb } = require("./db_manager");
+const logger = require("./logger");
+
+/**
+ * Add a worksheet with a bold, frozen header row
+ * @param {object} workbook - ExcelJS workbook
+ * @param {string} name - Sheet name
+ * @param {Array<object>} columns - ExcelJS column definitions
+ * @param {Array<object>} rows - Rows keyed by column key
+ * @returns {object} Worksheet
+ */
+function addSheet(workbook, name, columns, rows) {
+  const sheet = workbook.addWorksheet(name, {
+    views: [{ state: "frozen", ySplit: 1, rightToLeft: true }],
+  });
+  sheet.columns = columns;
+  sheet.getRow(1).font = { bold: true };
+  sheet.addRows(rows);
+  return sheet;
+}
+
+/**
+ * Build the catalog and analytics workbook
+ * @returns {Promise<object>} ExcelJS workbook
+ */
+async function buildExportWorkbook() {
+  const db = await openDb();
+  let books, ratings, favoriteCounts, searches, zeroResultSearches;
+  try {
+    books = await db.all(
+      `SELECT id, book_name, author_name, category, language, file_path,
+              zip_file_path, request_count, total_requests, created_at, updated_at
+       FROM usol_books
+       ORDER BY id`
+    );
+    ratings = await db.all(
+      `SELECT b.id, b.book_name, b.author_name,
+              ROUND(AVG(r.rating), 2) AS avg_rating,
+              COUNT(r.rating) AS rating_count,
+              COUNT(r.review) AS review_count
+       FROM usol_books b
+       JOIN book_ratings r ON b.id = r.book_id
+       GROUP BY b.id
+       ORDER BY avg_rating DESC, rating_count DESC`
+    );
+    favoriteCounts = await db.all(
+      `SELECT b.id, b.book_name, b.author_name, f.favorite_count
+       FROM usol_books b
+       JOIN (SELECT book_id, COUNT(*) AS favorite_count
+             FROM user_favorites
+             GROUP BY book_id) f ON b.id = f.book_id
+       ORDER BY f.favorite_count DESC, b.id`
+    );
+    searches = await db.all(
+      `SELECT search_query,
+              COUNT(*) AS search_count,
+              SUM(CASE WHEN results_count = 0 THEN 1 ELSE 0 END) AS zero_result_count,
+              COUNT(DISTINCT user_id) AS user_count,
+              MAX(created_at) AS last_searched
+       FROM search_history
+       GROUP BY search_query
+       ORDER BY search_count DESC
+       LIMIT 500`
+    );
+    zeroResultSearches = await db.all(
+      `SELECT search_query,
+              COUNT(*) AS search_count,
+              COUNT(DISTINCT user_id) AS user_count,
+              MAX(created_at) AS last_searched
+       FROM search_history
+       WHERE results_count = 0
+       GROUP BY search_query
+       ORDER BY search_count DESC
+       LIMIT 500`
+    );
+  } finally {
+    await closeDb(db);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Smart Library Bot";
+  workbook.created = new Date();
+
+  const bookColumns = [
+    { header: "ID", key: "id", width: 8 },
+    { header: "Book", key: "book_name", width: 40 },
+    { header: "Author", key: "author_name", width: 30 },
+  ];
+
+  addSheet(
+    workbook,
+    "Catalog",
+    [
+      ...bookColumns,
+      { header: "Category", key: "category", width: 20 },
+      { header: "Language", key: "language", width: 12 },
+      { header: "Parts", key: "parts_count", width: 8 },
+      { header: "ZIP", key: "has_zip", width: 6 },
+      { header: "Created", key: "created_at", width: 20 },
+      { header: "Updated", key: "updated_at", width: 20 },
+    ],
+    books.map((book) => ({
+      ...book,
+      parts_count: book.file_path ? book.file_path.split("|").length : 0,
+      has_zip: book.zip_file_path ? "✅" : "",
+    }))
+  );
+
+  addSheet(
+    workbook,
+    "Requests",
+    [
+      ...bookColumns,
+      { header: "Requests", key: "request_count", width: 12 },
+      { header: "Total requests", key: "total_requests", width: 14 },
+    ],
+    [...books].sort((a, b) => b.request_count - a.request_count)
+  );
+
+  addSheet(
+    workbook,
+    "Ratings",
+    [
+      ...bookColumns,
+      { header: "Average", key: "avg_rating", width: 10 },
+      { header: "Ratings", key: "rating_count", width: 10 },
+      { header: "Reviews", key: "review_count", width: 10 },
+    ],
+    ratings
+  );
+
+  addSheet(
+    workbook,
+    "Favorites",
+    [...bookColumns, { header: "Favorites", key: "favorite_count", width: 12 }],
+    favoriteCounts
+  );
+
+  addSheet(
+    workbook,
+    "Searches",
+    [
+      { header: "Query", key: "search_query", width: 40 },
+      { header: "Searches", key: "search_count", width: 10 },
+      { header: "Zero results", key: "zero_result_count", width: 12 },
+      { header: "Users", key: "user_count", width: 8 },
+      { header: "Last searched", key: "last_searched", width: 20 },
+    ],
+    searches
+  );
+
+  addSheet(
+    workbook,
+    "Zero results",
+    [
+      { header: "Query", key: "search_query", width: 40 },
+      { header: "Searches", key: "search_count", width: 10 },
+      { header: "Users", key: "user_count", width: 8 },
+      { header: "Last searched", key: "last_searched", width: 20 },
+    ],
+    zeroResultSearches
+  );
+
+  return workbook;
+}
+
+/**
+ * /export - send the catalog and analytics workbook
+ * @param {object} ctx - Telegraf context
+ */
+async function handleExport(ctx) {
+  try {
+    await ctx.reply("⏳ جاري إعداد ملف التقرير...");
+
+    const workbook = await buildExportWorkbook();
+    const buffer = await workbook.xlsx.writeBuffer();
+    const filename = `library_report_${format(new Date(), "yyyy-MM-dd")}.xlsx`;
+
+    await ctx.replyWithDocument(
+      { source: Buffer.from(buffer), filename },
+      { caption: "📊 تقرير المكتبة: الكتب، الطلبات، التقييمات، المفضلة والبحث" }
+    );
+    logger.logInfo("Catalog exported", { userId: ctx.from.id, filename });
+  } catch (error) {
+    logger.logError("Failed to export catalog", error, {
+      userId: ctx.from.id,
+    });
+    await ctx.reply("❌ حدث خطأ أثناء إعداد التقرير.");
+  }
+}
+
+module.exports = {
+  buildExportWorkbook,
+  handleExport,
+};
@@ -0,0 +1,324 @@
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const csv = require("csv-parser");
+const ExcelJS = require("exceljs");
+const { openDb, closeDb, createDatabase } = require("./db_manager");
+const { validateBookRow, sanitizeHtml } = require("./validators");
+const { logAdminAction } = require("./admin");
+const { notifyBookRequesters } = require("./book_requests");
+const searchCache = require("./search_cache");
+const logger = require("./logger");
+
+// Columns written on insert/update (name and author identify the book)
+const BOOK_COLUMNS = [
+  "category",
+  "language",
+  "file_path",
+  "emergency_file_path",
+  "word_file_path",
+  "zip_file_path",
+];
+
+// Language of new books whose row leaves it empty
+const DEFAULT_LANGUAGE = "arabic";
+
+/**
+ * Normalize a header cell to a column name
+ * @param {string} header - Raw header
+ * @returns {string} Column name
+ */
+function normalizeHeader(header) {
+  return String(header || "")
+    .replace(/^\uFEFF/, "")
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Parse CSV content into rows
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Array<object>>} Rows keyed by column name
+ */
+function parseCsv(buffer) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from(buffer)
+      .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header) }))
+      .on("data", (row) => rows.push(row))
+      .on("end", () => resolve(rows))
+      .on("error", reject);
+  });
+}
+
+/**
+ * Parse the first worksheet of an Excel workbook into rows
+ * @param {Buffer} buffer - File content
+ * @returns {Promise<Array<object>>} Rows keyed by column name
+ */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber] = normalizeHeader(cell.text);
+  });
+
+  const rows = [];
+  for (let i = 2; i <= worksheet.rowCount; i++) {
+    const row = {};
+    worksheet.getRow(i).eachCell((cell, colNumber) => {
+      if (headers[colNumber]) {
+        row[headers[colNumber]] = cell.text;
+      }
+    });
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Parse an import file by its extension
+ * @param {Buffer} buffer - File content
+ * @param {string} fileName - Original file name
+ * @returns {Promise<Array<object>>} Rows keyed by column name
+ */
+async function parseCatalogFile(buffer, fileName) {
+  const extension = path.extname(fileName || "").toLowerCase();
+  if (extension === ".csv") return parseCsv(buffer);
+  if (extension === ".xlsx") return parseXlsx(buffer);
+  throw new Error(`Unsupported file type: ${extension || fileName}`);
+}
+
+/**
+ * Validate and upsert rows into usol_books by book name + author
+ * Updates only touch the columns the row fills in.
+ * Everything runs in one transaction; dry runs are rolled back so the
+ * summary is identical to a real import without changing anything.
+ * @param {Array<object>} rows - Parsed rows
+ * @param {object} options - Import options
+ * @param {boolean} options.dryRun - Roll back instead of committing
+ * @returns {Promise<object>} Summary (total, inserted, updated, failed, errors, insertedIds)
+ */
+async function importRows(rows, { dryRun = false } = {}) {
+  const summary = {
+    total: rows.length,
+    inserted: 0,
+    insertedIds: [],
+    updated: 0,
+    failed: 0,
+    errors: [],
+    dryRun,
+  };
+
+  const db = await openDb();
+  try {
+    await db.exec("BEGIN");
+
+    for (let i = 0; i < rows.length; i++) {
+      // Row 1 holds the headers
+      const rowNumber = i + 2;
+      const { value, error } = validateBookRow(rows[i]);
+      if (error) {
+        summary.failed++;
+        summary.errors.push({ row: rowNumber, message: error });
+        continue;
+      }
+
+      try {
+        const existing = await db.get(
+          "SELECT id FROM usol_books WHERE book_name = ? AND author_name = ?",
+          [value.book_name, value.author_name]
+        );
+        const columns = BOOK_COLUMNS.filter((c) => value[c] !== undefined);
+
+        if (existing) {
+          const assignments = [
+            ...columns.map((c) => `${c} = ?`),
+            "updated_at = CURRENT_TIMESTAMP",
+          ];
+          await db.run(
+            `UPDATE usol_books SET ${assignments.join(", ")} WHERE id = ?`,
+            [...columns.map((c) => value[c]), existing.id]
+          );
+          summary.updated++;
+        } else {
+          const book = { language: DEFAULT_LANGUAGE, ...value };
+          const insertColumns = [
+            "book_name",
+            "author_name",
+            ...BOOK_COLUMNS.filter((c) => book[c] !== undefined),
+          ];
+          const result = await db.run(
+            `INSERT INTO usol_books (${insertColumns.join(", ")})
+             VALUES (${insertColumns.map(() => "?").join(", ")})`,
+            insertColumns.map((c) => book[c])
+          );
+          summary.inserted++;
+          summary.insertedIds.push(result.lastID);
+        }
+      } catch (rowError) {
+        summary.failed++;
+        summary.errors.push({ row: rowNumber, message: rowError.message });
+      }
+    }
+
+    await db.exec(dryRun ? "ROLLBACK" : "COMMIT");
+  } catch (error) {
+    await db.exec("ROLLBACK").catch(() => {});
+    logger.logError("Catalog import failed", error);
+    throw error;
+  } finally {
+    await closeDb(db);
+  }
+
+  if (!dryRun && summary.inserted + summary.updated > 0) {
+    searchCache.flush();
+  }
+
+  logger.logInfo("Catalog import finished", {
+    total: summary.total,
+    inserted: summary.inserted,
+    updated: summary.updated,
+    failed: summary.failed,
+    dryRun,
+  });
+  return summary;
+}
+
+/**
+ * Format an import summary for Telegram
+ * @param {object} summary - Import summary
+ * @returns {string} HTML message
+ */
+function formatSummary(summary) {
+  let message = summary.dryRun
+    ? "<b>🧪 تجربة الاستيراد (لم يتم حفظ أي تغيير):</b>\n\n"
+    : "<b>📥 نتيجة الاستيراد:</b>\n\n";
+  message += `📄 عدد الصفوف: ${summary.total}\n`;
+  message += `✅ كتب جديدة: ${summary.inserted}\n`;
+  message += `🔄 كتب محدّثة: ${summary.updated}\n`;
+  message += `❌ صفوف مرفوضة: ${summary.failed}\n`;
+
+  if (summary.errors.length > 0) {
+    message += "\n<b>الأخطاء:</b>\n";
+    summary.errors.slice(0, 20).forEach((error) => {
+      message += `• الصف ${error.row}: ${sanitizeHtml(error.message)}\n`;
+    });
+    if (summary.errors.length > 20) {
+      message += `… و ${summary.errors.length - 20} أخطاء أخرى\n`;
+    }
+  }
+  return message;
+}
+
+/**
+ * /import [dry] - wait for a catalog file from an admin
+ * @param {object} ctx - Telegraf context
+ */
+async function startImport(ctx) {
+  const dryRun = /^(dry|--dry-run|تجربة)$/i.test((ctx.payload || "").trim());
+  ctx.session.import_mode = { dryRun };
+
+  await ctx.reply(
+    `📥 أرسل ملف الكتالوج بصيغة CSV أو XLSX${
+      dryRun ? " (وضع التجربة)" : ""
+    }.\n\nالأعمدة: book_name, author_name, category, language, file_path, zip_file_path\n\n<i>للإلغاء أرسل /cancel</i>`,
+    { parse_mode: "HTML" }
+  );
+}
+
+/**
+ * Import a catalog file uploaded after /import
+ * @param {object} ctx - Telegraf context
+ */
+async function handleImportDocument(ctx) {
+  const { dryRun } = ctx.session.import_mode;
+  const document = ctx.message.document;
+  delete ctx.session.import_mode;
+
+  try {
+    const fileUrl = await ctx.telegram.getFileLink(document.file_id);
+    const response = await fetch(fileUrl.href);
+    if (!response.ok) {
+      throw new Error(`Download failed with status ${response.status}`);
+    }
+    const buffer = Buffer.from(await response.arrayBuffer());
+
+    const rows = await parseCatalogFile(buffer, document.file_name);
+    const summary = await importRows(rows, { dryRun });
+
+    if (!dryRun) {
+      await logAdminAction(ctx.from.id, "import", "usol_books", null, {
+        file: document.file_name,
+        inserted: summary.inserted,
+        updated: summary.updated,
+        failed: summary.failed,
+      });
+    }
+
+    await ctx.reply(formatSummary(summary), { parse_mode: "HTML" });
+    if (!dryRun) {
+      await notifyBookRequesters(ctx.telegram, summary.insertedIds);
+    }
+  } catch (error) {
+    logger.logError("Failed to import catalog file", error, {
+      userId: ctx.from.id,
+      fileName: document.file_name,
+    });
+    await ctx.reply(
+      "❌ تعذّر قراءة الملف. تأكد من أنه بصيغة CSV أو XLSX وأن الصف الأول يحتوي على أسماء الأعمدة."
+    );
+  }
+}
+
+/**
+ * Command-line entry point: node catalog_import.js <file> [--dry-run]
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const filePath = args.find((arg) => !arg.startsWith("--"));
+
+  if (!filePath) {
+    console.error(
+      "Usage: node catalog_import.js <file.csv|file.xlsx> [--dry-run]"
+    );
+    process.exit(1);
+  }
+
+  await createDatabase();
+  const rows = await parseCatalogFile(fs.readFileSync(filePath), filePath);
+  const summary = await importRows(rows, { dryRun });
+
+  console.log(
+    `${dryRun ? "[dry run] " : ""}rows: ${summary.total}, inserted: ${
+      summary.inserted
+    }, updated: ${summary.updated}, failed: ${summary.failed}`
+  );
+  summary.errors.forEach((error) => {
+    console.log(`  row ${error.row}: ${error.message}`);
+  });
+  process.exit(summary.failed > 0 ? 2 : 0);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Import failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseCsv,
+  parseXlsx,
+  parseCatalogFile,
+  importRows,
+  formatSummary,
+  startImport,
+  handleImportDocument,
+};
@@ -0,0 +1,225 @@
+const { Markup } = require("telegraf");
+const { format, subDays } = require("date-fns");
+const { openDb, closeDb, getTopDownloads } = require("./db_manager");
+const { buildBookCard } = require("./inline_search");
+const { getBookLink } = require("./deep_links");
+const { sanitizeHtml } = require("./validators");
+const logger = require("./logger");
+const config = require("./config");
+
+// Bot username for deep links, fetched once from getMe
+let botUsername = null;
+
+// Guards against a slow run overlapping the next tick
+let running = false;
+
+/**
+ * Reserve an item in channel_posts before posting it
+ * Reserving first means a crash mid-post can lose a post but never repeat it.
+ * @param {object} db - Database connection
+ * @param {string} itemType - "book" or "digest"
+ * @param {string} itemKey - Book ID or ISO week
+ * @returns {Promise<boolean>} Reserved (false when already posted)
+ */
+async function reservePost(db, itemType, itemKey) {
+  const result = await db.run(
+    "INSERT OR IGNORE INTO channel_posts (item_type, item_key) VALUES (?, ?)",
+    [itemType, itemKey]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Send a message to the channel and record it, releasing the reservation
+ * on failure so the next run retries
+ * @param {object} telegram - Telegraf telegram instance
+ * @param {object} db - Database connection
+ * @param {string} itemType - Item type
+ * @param {string} itemKey - Item key
+ * @param {string} text - HTML message
+ * @param {object} extra - Extra sendMessage options
+ * @returns {Promise<boolean>} Posted
+ */
+async function sendPost(telegram, db, itemType, itemKey, text, extra = {}) {
+  try {
+    const message = await telegram.sendMessage(config.bot.channelId, text, {
+      parse_mode: "HTML",
+      ...extra,
+    });
+    await db.run(
+      `UPDATE channel_posts SET message_id = ?, posted_at = CURRENT_TIMESTAMP
+       WHERE item_type = ? AND item_key = ?`,
+      [message.message_id, itemType, itemKey]
+    );
+    return true;
+  } catch (error) {
+    logger.logError("Failed to post to channel", error, { itemType, itemKey });
+    await db.run(
+      "DELETE FROM channel_posts WHERE item_type = ? AND item_key = ?",
+      [itemType, itemKey]
+    );
+    return false;
+  }
+}
+
+/**
+ * Mark the catalog that existed before channel posting was enabled as seen,
+ * so only books added afterwards are announced
+ * @param {object} db - Database connection
+ */
+async function seedExistingBooks(db) {
+  if (!(await reservePost(db, "seed", "catalog"))) return;
+
+  const result = await db.run(
+    `INSERT OR IGNORE INTO channel_posts (item_type, item_key)
+     SELECT 'book', CAST(id AS TEXT) FROM usol_books`
+  );
+  logger.logInfo("Existing books marked as posted", {
+    count: result.changes,
+  });
+}
+
+/**
+ * Post books that have not been announced yet, oldest first
+ * @param {object} telegram - Telegraf telegram instance
+ * @returns {Promise<number>} Number of books posted
+ */
+async function postNewBooks(telegram) {
+  const db = await openDb();
+  let posted = 0;
+  try {
+    await seedExistingBooks(db);
+
+    const books = await db.all(
+      `SELECT b.id, b.book_name, b.author_name, b.category, b.file_path
+       FROM usol_books b
+       LEFT JOIN channel_posts p
+         ON p.item_type = 'book' AND p.item_key = CAST(b.id AS TEXT)
+       WHERE p.id IS NULL
+       ORDER BY b.id
+       LIMIT ?`,
+      [config.channel.booksPerRun]
+    );
+
+    for (const book of books) {
+      const key = String(book.id);
+      if (!(await reservePost(db, "book", key))) continue;
+
+      const text = `🆕 <b>كتاب جديد في المكتبة</b>\n\n${buildBookCard(book)}`;
+      const keyboard = Markup.inlineKeyboard([
+        [Markup.button.url("📥 تحميل", getBookLink(botUsername, book.id))],
+      ]);
+      if (
+        await sendPost(telegram, db, "book", key, text, {
+          reply_markup: keyboard.reply_markup,
+        })
+      ) {
+        posted++;
+      }
+    }
+  } finally {
+    await closeDb(db);
+  }
+
+  if (posted > 0) {
+    logger.logInfo("New books posted to channel", { count: posted });
+  }
+  return posted;
+}
+
+/**
+ * Post the digest of the week's most downloaded books once per ISO week,
+ * after the configured day and hour
+ * @param {object} telegram - Telegraf telegram instance
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} Posted
+ */
+async function postWeeklyDigest(telegram, now = new Date()) {
+  const { digestDay, digestHour, digestSize } = config.channel;
+  // Days since the start of the ISO week (Monday = 0)
+  const dayOfWeek = (now.getDay() + 6) % 7;
+  const targetDay = (digestDay + 6) % 7;
+  if (
+    dayOfWeek < targetDay ||
+    (dayOfWeek === targetDay && now.getHours() < digestHour)
+  ) {
+    return false;
+  }
+
+  const week = format(now, "RRRR-'W'II");
+  // Downloads of the last 7 days, not the all-time request_count
+  const since = subDays(now, 7).toISOString().slice(0, 19).replace("T", " ");
+  const books = await getTopDownloads(since, digestSize);
+  if (books.length === 0) return false;
+
+  const db = await openDb();
+  try {
+    if (!(await reservePost(db, "digest", week))) return false;
+
+    let text = "🔥 <b>الكتب الأكثر تحميلاً هذا الأسبوع</b>\n\n";
+    books.forEach((book, index) => {
+      text += `${index + 1}. <a href="${getBookLink(
+        botUsername,
+        book.id
+      )}">${sanitizeHtml(book.book_name)}</a>\n`;
+      text += `   ✍️ ${sanitizeHtml(book.author_name)} • 📥 ${
+        book.downloads
+      }\n`;
+    });
+
+    const posted = await sendPost(telegram, db, "digest", week, text, {
+      disable_web_page_preview: true,
+    });
+    if (posted) {
+      logger.logInfo("Weekly digest posted to channel", { week });
+    }
+    return posted;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * One scheduler tick: new books, then the weekly digest
+ * @param {object} telegram - Telegraf telegram instance
+ */
+async function runChannelPosting(telegram) {
+  if (running) return;
+  running = true;
+  try {
+    if (!botUsername) {
+      botUsername = (await telegram.getMe()).username;
+    }
+    await postNewBooks(telegram);
+    await postWeeklyDigest(telegram);
+  } catch (error) {
+    logger.logError("Channel posting run failed", error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start posting to config.bot.channelId on an interval
+ * @param {object} telegram - Telegraf telegram instance
+ * @returns {object|null} Interval handle (null when no channel is configured)
+ */
+function startChannelPosting(telegram) {
+  if (!config.bot.channelId) {
+    logger.logInfo("Channel posting disabled (no CHANNEL_ID)");
+    return null;
+  }
+
+  runChannelPosting(telegram);
+  return setInterval(
+    () => runChannelPosting(telegram),
+    config.channel.pollIntervalMinutes * 60 * 1000
+  );
+}
+
+module.exports = {
+  postNewBooks,
+  postWeeklyDigest,
+  runChannelPosting,
+  startChannelPosting,
+};
@@ -5,6 +5,11 @@ const config = {
   bot: {
     token: process.env.BOT_TOKEN,
     channelId: process.env.CHANNEL_ID || "",
+    // Comma-separated Telegram user IDs allowed to manage the catalog
+    adminIds: (process.env.ADMIN_IDS || "")
+      .split(",")
+      .map((id) => parseInt(id.trim(), 10))
+      .filter((id) => !isNaN(id)),
   },
 
   // Database configuration
@@ -18,10 +23,32 @@ const config = {
     },
   },
 
+  // Book catalog configuration
+  books: {
+    // Languages a book can be filed under (value stored in usol_books.language)
+    languages: {
+      arabic: "العربية",
+      persian: "الفارسية",
+    },
+  },
+
+  // Interface languages (one message catalog per locale in locales/)
+  i18n: {
+    defaultLocale: "ar",
+    // Locale -> name shown in the /language picker
+    locales: {
+      ar: "العربية",
+      fa: "فارسی",
+      en: "English",
+    },
+  },
+
   // Search configuration
   search: {
     // Maximum length of search query
     maxQueryLength: 37,
+    // Maximum length of a query using field filters (مؤلف: قسم: أجزاء:)
+    maxAdvancedQueryLength: 100,
     // Maximum number of similar results to show
     maxSimilarResults: 10,
     // Search scoring weights
@@ -31,6 +58,22 @@ const config = {
     },
     // Fuzzy search threshold (0-1, higher is more strict)
     fuzzyThreshold: 0.3,
+    // Minimum Jaro-Winkler similarity for two word stems to count as a match
+    tokenSimilarityThreshold: 0.85,
+    // Retrieve candidates from the FTS5 index instead of scanning every book
+    useFullTextIndex: true,
+    // Number of FTS5 candidates re-ranked with scoreBook
+    candidateLimit: 200,
+    // Send the best result directly only when its score reaches this value
+    // and leads the runner-up by at least confidenceMargin
+    confidenceThreshold: 0.6,
+    confidenceMargin: 0.05,
+    // Results listed (and paginated) when the best one is not confident
+    resultListSize: 20,
+    resultsPerPage: 5,
+    // Score boost per user who picked a book from the list for the same query
+    selectionBoost: 0.02,
+    maxSelectionBoost: 0.15,
   },
 
   // Cache configuration
@@ -41,21 +84,143 @@ const config = {
     maxKeys: 1000,
   },
 
+  // Session storage
+  session: {
+    // "sqlite" keeps multi-step flows across restarts; "memory" is for tests
+    store: process.env.SESSION_STORE || "sqlite",
+    // Idle sessions expire after this many hours
+    ttlHours: 24,
+    // Minutes between removals of expired sessions
+    cleanupIntervalMinutes: 60,
+  },
+
+  // Channel auto-posting (enabled when bot.channelId is set)
+  channel: {
+    // Minutes between checks for new books and the weekly digest
+    pollIntervalMinutes: 5,
+    // Maximum new books posted per check
+    booksPerRun: 10,
+    // Weekly digest day (0 = Sunday ... 5 = Friday) and hour (server time)
+    digestDay: 5,
+    digestHour: 18,
+    // Books listed in the weekly digest
+    digestSize: 10,
+  },
+
+  // New-book notifications for followed categories and authors
+  subscriptions: {
+    // Minutes between checks; books added in between are sent as one message
+    pollIntervalMinutes: 5,
+    // Books listed in one notification (the rest are summarized)
+    maxBooksPerMessage: 10,
+    messagesPerSecond: 25,
+  },
+
+  // Inline mode (@bot query from any chat)
+  inline: {
+    // Results returned per inline query (Telegram allows up to 50)
+    maxResults: 20,
+    // Seconds Telegram may cache the answer to the same query
+    cacheTime: 300,
+  },
+
+  // Requests for books search could not find
+  bookRequests: {
+    // Minimum scoreBook score for a new book to fulfil a request
+    matchThreshold: 0.6,
+    // Titles per page in /wanted
+    perPage: 10,
+    // Latest "request this book" buttons per chat that still work
+    maxPendingButtons: 10,
+  },
+
+  // Admin /broadcast messages
+  broadcast: {
+    // Telegram allows about 30 messages per second to different users
+    messagesPerSecond: 25,
+    // Retries per user after a 429 (waiting retry_after seconds each time)
+    maxRetries: 3,
+    // "Active in the last N days" choices (0 = everyone)
+    activeDaysOptions: [0, 7, 30, 90],
+  },
+
+  // Admin /stats report
+  stats: {
+    // Rows in the top downloads and zero-result query lists
+    topListSize: 5,
+    // Categories listed before the rest are summed as "other"
+    maxCategories: 8,
+    // users.last_activity is written at most this often per user
+    activityUpdateIntervalMs: 5 * 60 * 1000,
+  },
+
   // Pagination settings
   pagination: {
     itemsPerPage: 20,
   },
 
+  // Quiz configuration
+  quiz: {
+    pointsPerCorrectAnswer: 10,
+    maxWrongAnswers: 3,
+    leaderboardSize: 10,
+  },
+
+  // Written reviews
+  reviews: {
+    minLength: 10,
+    maxLength: 1000,
+    perPage: 5,
+  },
+
+  // Points and coins economy
+  economy: {
+    points: {
+      rating: 2, // first rating of a book
+      review: 5, // first review of a book
+      dailyDownload: 1, // multiplied by the current streak length
+    },
+    coins: {
+      quizCorrect: 1,
+      streakMilestone: 5, // every streakMilestoneDays consecutive days
+    },
+    streakMilestoneDays: 7,
+    maxStreakMultiplier: 7,
+    // Max points per day from ratings and reviews combined
+    dailyActivityPointsCap: 30,
+    // Coins needed to unlock a book's ZIP bundle (0 = free)
+    // Existing users start with 0 coins, so raise it once they can earn some
+    zipUnlockCost: 0,
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || "info",
   },
 
-  // Rate limiting (optional for future use)
+  // Per-user rate limiting (sliding window)
   rateLimit: {
-    enabled: false,
+    enabled: true,
     windowMs: 60000, // 1 minute
+    // All updates of a user within the window
     maxRequests: 30,
+    // Separate budgets within the same window; each must stay at or below
+    // maxRequests, which every update counts against first
+    budgets: {
+      search: 12,
+      download: 5, // every update that sends book files, whatever started it
+      callback: 25,
+    },
+    // Minimum time between two "slow down" warnings to the same user
+    warningCooldownMs: 15000,
+    // Rejected updates within the window before the user is muted
+    muteAfterRejections: 10,
+    muteDurationMs: 600000, // 10 minutes
+    // User IDs never limited (admins are always exempt)
+    whitelist: (process.env.RATE_LIMIT_WHITELIST || "")
+      .split(",")
+      .map((id) => parseInt(id.trim(), 10))
+      .filter((id) => !isNaN(id)),
   },
 
   // Features flags
@@ -2,6 +2,7 @@ const sqlite3 = require("sqlite3").verbose();
 const { open } = require("sqlite");
 const config = require("./config");
 const logger = require("./logger");
+const { sqlNormalizeExpression } = require("./text_normalizer");
 
 // Database connection pool (simple implementation)
 let dbPool = [];
@@ -28,6 +29,9 @@ async function openDb() {
     // Enable WAL mode for better concurrency
     await db.exec("PRAGMA journal_mode = WAL");
 
+    // Wait for locks held by other pooled connections instead of failing
+    await db.exec("PRAGMA busy_timeout = 5000");
+
     return db;
   } catch (error) {
     logger.logError("Failed to open database connection", error);
@@ -61,6 +65,11 @@ async function createDatabase() {
         coins INTEGER DEFAULT 0,
         last_activity TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         selected_language TEXT,
+        locale TEXT,
+        is_banned INTEGER DEFAULT 0,
+        is_active INTEGER DEFAULT 1,
+        streak_days INTEGER DEFAULT 0,
+        last_download_date TEXT,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
@@ -117,6 +126,8 @@ async function createDatabase() {
         book_id INTEGER NOT NULL,
         rating INTEGER NOT NULL CHECK(rating >= 1 AND rating <= 5),
         review TEXT,
+        review_status TEXT CHECK(review_status IN ('pending', 'approved', 'rejected')),
+        report_count INTEGER DEFAULT 0,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
@@ -125,6 +136,18 @@ async function createDatabase() {
       );
     `);
 
+    // Review reports table
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS review_reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rating_id INTEGER NOT NULL,
+        reporter_id INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (rating_id) REFERENCES book_ratings (id) ON DELETE CASCADE,
+        UNIQUE(rating_id, reporter_id)
+      );
+    `);
+
     // Recent access table
     await db.exec(`
       CREATE TABLE IF NOT EXISTS recent_access (
@@ -137,6 +160,158 @@ async function createDatabase() {
       );
     `);
 
+    // Results picked from the search results list, per query
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS search_selections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        search_query TEXT NOT NULL,
+        book_id INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+        FOREIGN KEY (book_id) REFERENCES usol_books (id) ON DELETE CASCADE,
+        UNIQUE(user_id, search_query, book_id)
+      );
+    `);
+
+    // Requests for books that search could not find
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS book_requests (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        search_query TEXT NOT NULL,
+        fulfilled_book_id INTEGER,
+        notified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, search_query),
+        FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+        FOREIGN KEY (fulfilled_book_id) REFERENCES usol_books (id) ON DELETE SET NULL
+      );
+    `);
+
+    // Admin broadcasts and their per-user delivery status
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS broadcasts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER NOT NULL,
+        content_type TEXT NOT NULL,
+        text TEXT,
+        file_id TEXT,
+        entities TEXT,
+        segment TEXT,
+        status TEXT DEFAULT 'sending',
+        total INTEGER DEFAULT 0,
+        sent INTEGER DEFAULT 0,
+        failed INTEGER DEFAULT 0,
+        blocked INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS broadcast_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        broadcast_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        error TEXT,
+        sent_at TIMESTAMP,
+        UNIQUE (broadcast_id, user_id),
+        FOREIGN KEY (broadcast_id) REFERENCES broadcasts (id) ON DELETE CASCADE
+      );
+    `);
+
+    // Followed categories/authors and the new-book notifications queued for them
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS subscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        target_type TEXT NOT NULL,
+        target_name TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (user_id, target_type, target_name),
+        FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+      );
+
+      CREATE TABLE IF NOT EXISTS subscription_notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        book_id INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        UNIQUE (user_id, book_id),
+        FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE,
+        FOREIGN KEY (book_id) REFERENCES usol_books (id) ON DELETE CASCADE
+      );
+    `);
+
+    // Books and digests already posted to the channel
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS channel_posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        item_type TEXT NOT NULL,
+        item_key TEXT NOT NULL,
+        message_id INTEGER,
+        posted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(item_type, item_key)
+      );
+    `);
+
+    // Runtime settings (feature flags), editable by admins
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Telegraf sessions (JSON), kept across restarts
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        session_key TEXT PRIMARY KEY,
+        data TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
+    `);
+
+    // Points and coins ledger
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS wallet_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        points_delta INTEGER DEFAULT 0,
+        coins_delta INTEGER DEFAULT 0,
+        reason TEXT NOT NULL,
+        ref_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (user_id) ON DELETE CASCADE
+      );
+    `);
+
+    // Administrators table
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS admins (
+        user_id INTEGER PRIMARY KEY,
+        role TEXT NOT NULL CHECK(role IN ('owner', 'admin', 'moderator')),
+        added_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Admin audit log table
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        table_name TEXT NOT NULL,
+        row_id INTEGER,
+        details TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
     // Legacy tables (keeping for compatibility)
     await db.exec(`
       CREATE TABLE IF NOT EXISTS data (
@@ -152,7 +327,8 @@ async function createDatabase() {
         correct_answer TEXT,
         wrong_answers TEXT,
         author_name TEXT,
-        status TEXT DEFAULT 'pending'
+        status TEXT DEFAULT 'pending',
+        submitted_by INTEGER
       );
     `);
 
@@ -161,6 +337,9 @@ async function createDatabase() {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         question_id INTEGER,
         user_id INTEGER,
+        is_correct INTEGER,
+        asked_at TIMESTAMP,
+        answered_at TIMESTAMP,
         FOREIGN KEY (question_id) REFERENCES questions (question_id),
         FOREIGN KEY (user_id) REFERENCES users (user_id)
       );
@@ -168,9 +347,18 @@ async function createDatabase() {
 
     logger.logInfo("Database tables created successfully");
 
+    // Bring tables created by older versions up to date
+    await migrateDatabase(db);
+
     // Create indexes for better performance
     await createIndexes(db);
 
+    // Full-text index used for search candidate retrieval
+    await createSearchIndex(db);
+
+    // Slug lookup for author and category deep links
+    await createSlugIndex(db);
+
     logger.logInfo("Database initialization completed");
   } catch (error) {
     logger.logError("Failed to create database", error);
@@ -180,6 +368,170 @@ async function createDatabase() {
   }
 }
 
+/**
+ * Add a column to an existing table if it is missing
+ * @param {object} db - Database connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+async function addColumnIfMissing(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some((c) => c.name === column)) {
+    await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    logger.logInfo(`Column ${table}.${column} added`);
+  }
+}
+
+/**
+ * Apply schema changes to databases created by older versions
+ */
+async function migrateDatabase(db) {
+  await addColumnIfMissing(db, "users", "is_banned", "INTEGER DEFAULT 0");
+  await addColumnIfMissing(db, "users", "streak_days", "INTEGER DEFAULT 0");
+  await addColumnIfMissing(db, "users", "is_active", "INTEGER DEFAULT 1");
+  await addColumnIfMissing(db, "users", "last_download_date", "TEXT");
+  await addColumnIfMissing(db, "users", "locale", "TEXT");
+  await addColumnIfMissing(db, "book_ratings", "review_status", "TEXT");
+  await addColumnIfMissing(
+    db,
+    "book_ratings",
+    "report_count",
+    "INTEGER DEFAULT 0"
+  );
+  // Reviews written before moderation existed stay visible
+  await db.run(
+    `UPDATE book_ratings SET review_status = 'approved'
+     WHERE review IS NOT NULL AND review_status IS NULL`
+  );
+  await addColumnIfMissing(db, "questions", "submitted_by", "INTEGER");
+  await addColumnIfMissing(db, "asked_questions", "is_correct", "INTEGER");
+  await addColumnIfMissing(db, "asked_questions", "asked_at", "TIMESTAMP");
+  await addColumnIfMissing(db, "asked_questions", "answered_at", "TIMESTAMP");
+}
+
+/**
+ * Create the slug -> name lookup used by author and category deep links
+ * Slugs are hashes computed in JS (deep_links.getNameSlug), so triggers only
+ * queue new names with an empty slug; deep_links fills the queue the first
+ * time a slug is not found.
+ * @param {object} db - Database connection
+ */
+async function createSlugIndex(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS name_slugs (
+      kind TEXT NOT NULL,
+      name TEXT NOT NULL,
+      slug TEXT,
+      PRIMARY KEY (kind, name)
+    );
+    CREATE INDEX IF NOT EXISTS idx_name_slugs_slug ON name_slugs(slug);
+  `);
+
+  const queueNames = `
+    INSERT OR IGNORE INTO name_slugs (kind, name)
+    SELECT 'author_name', new.author_name WHERE new.author_name IS NOT NULL;
+    INSERT OR IGNORE INTO name_slugs (kind, name)
+    SELECT 'category', new.category WHERE new.category IS NOT NULL;
+  `;
+  await db.exec(`
+    DROP TRIGGER IF EXISTS name_slugs_insert;
+    DROP TRIGGER IF EXISTS name_slugs_update;
+  `);
+  await db.exec(`
+    CREATE TRIGGER name_slugs_insert AFTER INSERT ON usol_books
+    BEGIN ${queueNames} END;
+  `);
+  await db.exec(`
+    CREATE TRIGGER name_slugs_update
+    AFTER UPDATE OF author_name, category ON usol_books
+    BEGIN ${queueNames} END;
+  `);
+
+  // Names of books added before the triggers existed
+  await db.exec(`
+    INSERT OR IGNORE INTO name_slugs (kind, name)
+    SELECT DISTINCT 'author_name', author_name FROM usol_books
+    WHERE author_name IS NOT NULL;
+    INSERT OR IGNORE INTO name_slugs (kind, name)
+    SELECT DISTINCT 'category', category FROM usol_books
+    WHERE category IS NOT NULL;
+  `);
+}
+
+/**
+ * Create the FTS5 index over normalized book and author names
+ * Triggers keep it in sync with usol_books; the trigram tokenizer lets
+ * partial and misspelled names still share candidates with the query.
+ * @param {object} db - Database connection
+ */
+async function createSearchIndex(db) {
+  const bookName = (row) => sqlNormalizeExpression(`${row}.book_name`);
+  const authorName = (row) => sqlNormalizeExpression(`${row}.author_name`);
+
+  await db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS books_fts
+    USING fts5(book_name, author_name, tokenize = 'trigram');
+  `);
+  // Triggers are recreated so they always use the current normalization
+  await db.exec(`
+    DROP TRIGGER IF EXISTS books_fts_insert;
+    DROP TRIGGER IF EXISTS books_fts_delete;
+    DROP TRIGGER IF EXISTS books_fts_update;
+  `);
+  await db.exec(`
+    CREATE TRIGGER books_fts_insert AFTER INSERT ON usol_books
+    BEGIN
+      INSERT INTO books_fts (rowid, book_name, author_name)
+      VALUES (new.id, ${bookName("new")}, ${authorName("new")});
+    END;
+  `);
+  await db.exec(`
+    CREATE TRIGGER books_fts_delete AFTER DELETE ON usol_books
+    BEGIN
+      DELETE FROM books_fts WHERE rowid = old.id;
+    END;
+  `);
+  await db.exec(`
+    CREATE TRIGGER books_fts_update
+    AFTER UPDATE OF book_name, author_name ON usol_books
+    BEGIN
+      DELETE FROM books_fts WHERE rowid = old.id;
+      INSERT INTO books_fts (rowid, book_name, author_name)
+      VALUES (new.id, ${bookName("new")}, ${authorName("new")});
+    END;
+  `);
+
+  // Books added before the index existed, or indexed with an older normalization
+  const { indexed } = await db.get("SELECT COUNT(*) AS indexed FROM books_fts");
+  const { total } = await db.get("SELECT COUNT(*) AS total FROM usol_books");
+  const stale = await db.get(
+    `SELECT 1 FROM books_fts f
+     JOIN usol_books b ON b.id = f.rowid
+     WHERE f.book_name != ${sqlNormalizeExpression("b.book_name")}
+        OR f.author_name != ${sqlNormalizeExpression("b.author_name")}
+     LIMIT 1`
+  );
+  if (indexed !== total || stale) {
+    await rebuildSearchIndex(db);
+  }
+}
+
+/**
+ * Repopulate the full-text index from usol_books
+ * @param {object} db - Database connection
+ */
+async function rebuildSearchIndex(db) {
+  await db.exec("DELETE FROM books_fts");
+  await db.exec(`
+    INSERT INTO books_fts (rowid, book_name, author_name)
+    SELECT id, ${sqlNormalizeExpression("book_name")},
+           ${sqlNormalizeExpression("author_name")}
+    FROM usol_books
+  `);
+  logger.logInfo("Search index rebuilt");
+}
+
 /**
  * Create database indexes
  */
@@ -225,6 +577,45 @@ async function createIndexes(db) {
     await db.exec(
       "CREATE INDEX IF NOT EXISTS idx_ratings_user ON book_ratings(user_id)"
     );
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_ratings_review_status ON book_ratings(review_status)"
+    );
+
+    // Audit log indexes
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_audit_time ON admin_audit_log(created_at DESC)"
+    );
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_audit_row ON admin_audit_log(table_name, row_id)"
+    );
+
+    // Quiz indexes
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_questions_status ON questions(status)"
+    );
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_asked_user ON asked_questions(user_id, question_id)"
+    );
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_users_points ON users(points DESC)"
+    );
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_users_activity ON users(last_activity)"
+    );
+
+    // Wallet indexes
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_wallet_user ON wallet_transactions(user_id, created_at DESC)"
+    );
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_wallet_reason ON wallet_transactions(user_id, reason, ref_id)"
+    );
+    // One-off rewards and charges per book
+    await db.exec(
+      `CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_once
+       ON wallet_transactions(user_id, reason, ref_id)
+       WHERE reason IN ('rating', 'review', 'zip_unlock')`
+    );
 
     // Recent access indexes
     await db.exec(
@@ -234,6 +625,34 @@ async function createIndexes(db) {
       "CREATE INDEX IF NOT EXISTS idx_recent_time ON recent_access(accessed_at DESC)"
     );
 
+    // Book request indexes
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_book_requests_pending ON book_requests(fulfilled_book_id, search_query)"
+    );
+
+    // Broadcast delivery index
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_deliveries_status ON broadcast_deliveries(broadcast_id, status)"
+    );
+
+    // Subscription indexes
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_subscriptions_target ON subscriptions(target_type, target_name)"
+    );
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_sub_notifications_pending ON subscription_notifications(sent_at, user_id)"
+    );
+
+    // Session expiry index
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions(expires_at)"
+    );
+
+    // Search selection indexes
+    await db.exec(
+      "CREATE INDEX IF NOT EXISTS idx_selections_query ON search_selections(search_query, book_id)"
+    );
+
     logger.logInfo("Database indexes created successfully");
   } catch (error) {
     logger.logError("Failed to create indexes", error);
@@ -243,19 +662,24 @@ async function createIndexes(db) {
 
 /**
  * Add or update a user
+ * The interface locale and book language are only set for new users so that
+ * a /start never overrides what the user picked with /language.
+ * @param {number} userId - User ID
+ * @param {string} name - Display name
+ * @param {string} locale - Initial interface locale (see config.i18n)
  */
-async function addUser(userId, name, languageCode) {
-  const selectedLanguage = languageCode === "fa" ? "All" : "arabic";
+async function addUser(userId, name, locale) {
+  const selectedLanguage = locale === "fa" ? "All" : "arabic";
   const db = await openDb();
   try {
     await db.run(
-      `INSERT INTO users (user_id, name, selected_language, points, coins, last_activity) 
-       VALUES (?, ?, ?, 0, 0, CURRENT_TIMESTAMP) 
+      `INSERT INTO users (user_id, name, selected_language, locale, points, coins, last_activity) 
+       VALUES (?, ?, ?, ?, 0, 0, CURRENT_TIMESTAMP) 
        ON CONFLICT(user_id) DO UPDATE SET 
          name = excluded.name,
-         selected_language = excluded.selected_language,
+         is_active = 1,
          last_activity = CURRENT_TIMESTAMP`,
-      [userId, name, selectedLanguage]
+      [userId, name, selectedLanguage, locale]
     );
     logger.logInfo(`User ${userId} (${name}) added/updated`);
   } catch (error) {
@@ -266,6 +690,24 @@ async function addUser(userId, name, languageCode) {
   }
 }
 
+/**
+ * Mark a user as active now (users.last_activity)
+ * @param {number} userId - User ID
+ */
+async function touchUserActivity(userId) {
+  const db = await openDb();
+  try {
+    await db.run(
+      "UPDATE users SET last_activity = CURRENT_TIMESTAMP WHERE user_id = ?",
+      [userId]
+    );
+  } catch (error) {
+    logger.logError("Failed to update user activity", error, { userId });
+  } finally {
+    await closeDb(db);
+  }
+}
+
 /**
  * Update book request count
  */
@@ -352,13 +794,305 @@ async function saveSearchHistory(userId, searchQuery, resultsCount) {
   }
 }
 
+/**
+ * Record a result a user picked from the search results list
+ * Each user counts once per query and book.
+ * @param {number} userId - User ID
+ * @param {string} searchQuery - Normalized search query
+ * @param {number} bookId - Picked book ID
+ */
+async function recordSearchSelection(userId, searchQuery, bookId) {
+  const db = await openDb();
+  try {
+    await db.run(
+      `INSERT OR IGNORE INTO search_selections (user_id, search_query, book_id)
+       VALUES (?, ?, ?)`,
+      [userId, searchQuery, bookId]
+    );
+  } catch (error) {
+    logger.logError("Failed to record search selection", error, {
+      userId,
+      bookId,
+    });
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Load a stored session
+ * @param {string} key - Session key
+ * @returns {Promise<object|undefined>} Session data (undefined when missing or expired)
+ */
+async function getSession(key) {
+  const db = await openDb();
+  try {
+    const row = await db.get(
+      "SELECT data FROM sessions WHERE session_key = ? AND expires_at > ?",
+      [key, Date.now()]
+    );
+    return row ? JSON.parse(row.data) : undefined;
+  } catch (error) {
+    logger.logError("Failed to load session", error, { key });
+    return undefined;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Store a session, renewing its expiry
+ * @param {string} key - Session key
+ * @param {object} data - Session data
+ * @param {number} ttlMs - Time to live in milliseconds
+ */
+async function saveSession(key, data, ttlMs) {
+  const db = await openDb();
+  try {
+    await db.run(
+      `INSERT INTO sessions (session_key, data, expires_at) VALUES (?, ?, ?)
+       ON CONFLICT(session_key) DO UPDATE SET
+         data = excluded.data, expires_at = excluded.expires_at`,
+      [key, JSON.stringify(data), Date.now() + ttlMs]
+    );
+  } catch (error) {
+    logger.logError("Failed to save session", error, { key });
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Delete a stored session
+ * @param {string} key - Session key
+ */
+async function deleteSession(key) {
+  const db = await openDb();
+  try {
+    await db.run("DELETE FROM sessions WHERE session_key = ?", [key]);
+  } catch (error) {
+    logger.logError("Failed to delete session", error, { key });
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Delete expired sessions
+ * @returns {Promise<number>} Number of sessions deleted
+ */
+async function deleteExpiredSessions() {
+  const db = await openDb();
+  try {
+    const result = await db.run("DELETE FROM sessions WHERE expires_at <= ?", [
+      Date.now(),
+    ]);
+    return result.changes;
+  } catch (error) {
+    logger.logError("Failed to delete expired sessions", error);
+    return 0;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Count users active since a time (users.last_activity)
+ * @param {string} since - UTC "YYYY-MM-DD HH:MM:SS"
+ * @returns {Promise<number>} Number of users
+ */
+async function getActiveUserCount(since) {
+  const db = await openDb();
+  try {
+    const row = await db.get(
+      "SELECT COUNT(*) AS count FROM users WHERE last_activity >= ?",
+      [since]
+    );
+    return row.count;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Count users who joined since a time
+ * @param {string} since - UTC "YYYY-MM-DD HH:MM:SS"
+ * @returns {Promise<number>} Number of users
+ */
+async function getNewUserCount(since) {
+  const db = await openDb();
+  try {
+    const row = await db.get(
+      "SELECT COUNT(*) AS count FROM users WHERE created_at >= ?",
+      [since]
+    );
+    return row.count;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Searches per day since a time
+ * @param {string} since - UTC "YYYY-MM-DD HH:MM:SS"
+ * @returns {Promise<Array>} Rows {day, searches, users, zero_results}, oldest first
+ */
+async function getSearchesPerDay(since) {
+  const db = await openDb();
+  try {
+    return await db.all(
+      `SELECT date(created_at) AS day,
+              COUNT(*) AS searches,
+              COUNT(DISTINCT user_id) AS users,
+              SUM(CASE WHEN results_count = 0 THEN 1 ELSE 0 END) AS zero_results
+       FROM search_history
+       WHERE created_at >= ?
+       GROUP BY day
+       ORDER BY day`,
+      [since]
+    );
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Most frequent queries that found nothing since a time
+ * @param {string} since - UTC "YYYY-MM-DD HH:MM:SS"
+ * @param {number} limit - Maximum queries
+ * @returns {Promise<Array>} Rows {search_query, search_count, user_count}
+ */
+async function getZeroResultQueries(since, limit = 10) {
+  const db = await openDb();
+  try {
+    return await db.all(
+      `SELECT search_query,
+              COUNT(*) AS search_count,
+              COUNT(DISTINCT user_id) AS user_count
+       FROM search_history
+       WHERE results_count = 0 AND created_at >= ?
+       GROUP BY search_query
+       ORDER BY search_count DESC, user_count DESC
+       LIMIT ?`,
+      [since, limit]
+    );
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Most downloaded books since a time (recent_access)
+ * @param {string} since - UTC "YYYY-MM-DD HH:MM:SS"
+ * @param {number} limit - Maximum books
+ * @returns {Promise<Array>} Rows {id, book_name, author_name, downloads, user_count}
+ */
+async function getTopDownloads(since, limit = 10) {
+  const db = await openDb();
+  try {
+    return await db.all(
+      `SELECT b.id, b.book_name, b.author_name,
+              COUNT(*) AS downloads,
+              COUNT(DISTINCT a.user_id) AS user_count
+       FROM recent_access a
+       JOIN usol_books b ON b.id = a.book_id
+       WHERE a.accessed_at >= ?
+       GROUP BY b.id
+       ORDER BY downloads DESC, user_count DESC
+       LIMIT ?`,
+      [since, limit]
+    );
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Books and downloads per category
+ * @param {string} since - UTC "YYYY-MM-DD HH:MM:SS" (counts downloads only)
+ * @returns {Promise<Array>} Rows {category, books, downloads}, largest first
+ */
+async function getCategoryDistribution(since) {
+  const db = await openDb();
+  try {
+    return await db.all(
+      `SELECT COALESCE(b.category, '') AS category,
+              COUNT(*) AS books,
+              COALESCE(SUM(d.downloads), 0) AS downloads
+       FROM usol_books b
+       LEFT JOIN (
+         SELECT book_id, COUNT(*) AS downloads
+         FROM recent_access
+         WHERE accessed_at >= ?
+         GROUP BY book_id
+       ) d ON d.book_id = b.id
+       GROUP BY COALESCE(b.category, '')
+       ORDER BY books DESC, downloads DESC`,
+      [since]
+    );
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Insert a new book into the catalog
+ * @param {object} book - Book fields (book_name, author_name, category, language, file_path, zip_file_path)
+ * @returns {Promise<number>} ID of the inserted book
+ */
+async function insertBook(book) {
+  const db = await openDb();
+  try {
+    const result = await db.run(
+      `INSERT INTO usol_books 
+         (book_name, author_name, category, language, file_path, zip_file_path) 
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        book.book_name,
+        book.author_name,
+        book.category,
+        book.language,
+        book.file_path || null,
+        book.zip_file_path || null,
+      ]
+    );
+    logger.logInfo("Book inserted", {
+      bookId: result.lastID,
+      bookName: book.book_name,
+    });
+    return result.lastID;
+  } catch (error) {
+    logger.logError("Failed to insert book", error, {
+      bookName: book.book_name,
+    });
+    throw error;
+  } finally {
+    await closeDb(db);
+  }
+}
+
 module.exports = {
   openDb,
   closeDb,
   createDatabase,
   createIndexes,
+  addColumnIfMissing,
+  rebuildSearchIndex,
   addUser,
+  touchUserActivity,
   incrementBookRequestCount,
   recordBookAccess,
   saveSearchHistory,
+  recordSearchSelection,
+  getSession,
+  saveSession,
+  deleteSession,
+  deleteExpiredSessions,
+  getActiveUserCount,
+  getNewUserCount,
+  getSearchesPerDay,
+  getZeroResultQueries,
+  getTopDownloads,
+  getCategoryDistribution,
+  insertBook,
 };
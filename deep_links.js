@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+const { openDb, closeDb } = require("./db_manager");
+const logger = require("./logger");
+
+// book_<id>, author_<slug>, cat_<slug>
+const PAYLOAD_PATTERN = /^(book|author|cat)_([A-Za-z0-9_-]+)$/;
+
+// Start payloads only allow [A-Za-z0-9_-], so author and category names
+// (mostly Arabic/Persian) are referenced by a fixed-length hash of the name
+const SLUG_LENGTH = 12;
+
+/**
+ * Build the URL-safe slug of an author or category name
+ * @param {string} name - Exact name as stored in usol_books
+ * @returns {string} Slug
+ */
+function getNameSlug(name) {
+  return crypto
+    .createHash("sha256")
+    .update(name, "utf8")
+    .digest("base64url")
+    .slice(0, SLUG_LENGTH);
+}
+
+/**
+ * Build a t.me link that opens the bot with a start payload
+ * @param {string} botUsername - Bot username (ctx.botInfo.username)
+ * @param {string} payload - Start payload
+ * @returns {string} Deep link
+ */
+function getStartLink(botUsername, payload) {
+  return `https://t.me/${botUsername}?start=${payload}`;
+}
+
+/**
+ * Deep link to a book card
+ * @param {string} botUsername - Bot username
+ * @param {number} bookId - Book ID
+ * @returns {string} Deep link
+ */
+function getBookLink(botUsername, bookId) {
+  return getStartLink(botUsername, `book_${bookId}`);
+}
+
+/**
+ * Deep link to an author's books
+ * @param {string} botUsername - Bot username
+ * @param {string} authorName - Author name
+ * @returns {string} Deep link
+ */
+function getAuthorLink(botUsername, authorName) {
+  return getStartLink(botUsername, `author_${getNameSlug(authorName)}`);
+}
+
+/**
+ * Deep link to a category's book list
+ * @param {string} botUsername - Bot username
+ * @param {string} category - Category name
+ * @returns {string} Deep link
+ */
+function getCategoryLink(botUsername, category) {
+  return getStartLink(botUsername, `cat_${getNameSlug(category)}`);
+}
+
+/**
+ * Build a Telegram "share to chat" URL for a link
+ * @param {string} link - Link to share
+ * @param {string} text - Text shown with the link
+ * @returns {string} Share URL
+ */
+function getShareUrl(link, text) {
+  return `https://t.me/share/url?url=${encodeURIComponent(
+    link
+  )}&text=${encodeURIComponent(text)}`;
+}
+
+/**
+ * Hash the names queued in name_slugs by the usol_books triggers
+ * @param {object} db - Database connection
+ * @returns {Promise<number>} Number of slugs filled in
+ */
+async function fillPendingSlugs(db) {
+  const pending = await db.all(
+    "SELECT kind, name FROM name_slugs WHERE slug IS NULL"
+  );
+  if (pending.length === 0) return 0;
+
+  await db.exec("BEGIN IMMEDIATE");
+  try {
+    for (const { kind, name } of pending) {
+      await db.run(
+        "UPDATE name_slugs SET slug = ? WHERE kind = ? AND name = ?",
+        [getNameSlug(name), kind, name]
+      );
+    }
+    await db.exec("COMMIT");
+  } catch (error) {
+    await db.exec("ROLLBACK").catch(() => {});
+    throw error;
+  }
+  logger.logInfo("Name slugs filled in", { count: pending.length });
+  return pending.length;
+}
+
+/**
+ * Find the name in a column whose slug matches
+ * Names without books left are ignored.
+ * @param {object} db - Database connection
+ * @param {string} column - "author_name" or "category"
+ * @param {string} slug - Slug from the payload
+ * @returns {Promise<string|null>} Matching name
+ */
+async function findNameBySlug(db, column, slug) {
+  const lookup = () =>
+    db.get(
+      `SELECT s.name FROM name_slugs s
+       WHERE s.slug = ? AND s.kind = ?
+         AND EXISTS (SELECT 1 FROM usol_books b WHERE b.${column} = s.name)`,
+      [slug, column]
+    );
+
+  let row = await lookup();
+  if (!row && (await fillPendingSlugs(db)) > 0) {
+    row = await lookup();
+  }
+  return row ? row.name : null;
+}
+
+/**
+ * Resolve a /start payload to what it links to
+ * @param {string} payload - ctx.startPayload
+ * @returns {Promise<object|null>} { type: "book", bookId } |
+ *   { type: "author", authorKey } | { type: "category", category },
+ *   or null when the payload is empty, malformed or points nowhere
+ */
+async function resolveStartPayload(payload) {
+  const match = (payload || "").match(PAYLOAD_PATTERN);
+  if (!match) return null;
+
+  const [, type, value] = match;
+  if (type === "book") {
+    return /^\d+$/.test(value)
+      ? { type: "book", bookId: parseInt(value, 10) }
+      : null;
+  }
+
+  const db = await openDb();
+  try {
+    if (type === "author") {
+      const authorName = await findNameBySlug(db, "author_name", value);
+      if (!authorName) return null;
+      // Author pages are keyed by any book of the author
+      const book = await db.get(
+        "SELECT id FROM usol_books WHERE author_name = ? ORDER BY id LIMIT 1",
+        [authorName]
+      );
+      return { type: "author", authorKey: book.id };
+    }
+
+    const category = await findNameBySlug(db, "category", value);
+    return category ? { type: "category", category } : null;
+  } catch (error) {
+    logger.logError("Failed to resolve start payload", error, { payload });
+    return null;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+module.exports = {
+  getNameSlug,
+  getBookLink,
+  getAuthorLink,
+  getCategoryLink,
+  getShareUrl,
+  findNameBySlug,
+  resolveStartPayload,
+};
@@ -0,0 +1,397 @@
+const { openDb, closeDb } = require("./db_manager");
+const logger = require("./logger");
+const config = require("./config");
+
+// Human-readable labels for ledger reasons
+const REASON_LABELS = {
+  rating: "⭐ تقييم كتاب",
+  review: "📝 كتابة مراجعة",
+  daily_download: "📥 تحميل يومي",
+  streak_bonus: "🔥 مكافأة المواظبة",
+  quiz: "🧠 إجابة صحيحة",
+  zip_unlock: "🗜️ فتح ملف مضغوط",
+};
+
+/**
+ * Record a ledger entry and apply it to the user's balance atomically
+ * Rating, review and ZIP unlock entries are unique per book
+ * (idx_wallet_once), so a repeated entry is refused instead of paid twice.
+ * @param {number} userId - User ID
+ * @param {object} transaction - Transaction details
+ * @param {number} transaction.points - Points delta
+ * @param {number} transaction.coins - Coins delta
+ * @param {string} transaction.reason - Ledger reason
+ * @param {number} transaction.refId - Related row ID (book, asked question)
+ * @returns {Promise<boolean>} Success status
+ */
+async function addTransaction(
+  userId,
+  { points = 0, coins = 0, reason, refId = null }
+) {
+  if (points === 0 && coins === 0) return false;
+
+  const db = await openDb();
+  try {
+    await db.exec("BEGIN IMMEDIATE");
+    await db.run(
+      `INSERT INTO wallet_transactions (user_id, points_delta, coins_delta, reason, ref_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [userId, points, coins, reason, refId]
+    );
+    await db.run(
+      "UPDATE users SET points = points + ?, coins = coins + ? WHERE user_id = ?",
+      [points, coins, userId]
+    );
+    await db.exec("COMMIT");
+    logger.logInfo("Wallet transaction", { userId, points, coins, reason });
+    return true;
+  } catch (error) {
+    await db.exec("ROLLBACK").catch(() => {});
+    if (error.code === "SQLITE_CONSTRAINT") {
+      logger.logDebug("Wallet transaction already recorded", {
+        userId,
+        reason,
+        refId,
+      });
+      return false;
+    }
+    logger.logError("Failed to record wallet transaction", error, {
+      userId,
+      reason,
+      refId,
+    });
+    return false;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Check whether a reward was already granted for a row
+ * @param {number} userId - User ID
+ * @param {string} reason - Ledger reason
+ * @param {number} refId - Related row ID
+ * @returns {Promise<boolean>} Already granted
+ */
+async function hasTransaction(userId, reason, refId) {
+  const db = await openDb();
+  try {
+    const row = await db.get(
+      `SELECT 1 FROM wallet_transactions
+       WHERE user_id = ? AND reason = ? AND ref_id = ?`,
+      [userId, reason, refId]
+    );
+    return !!row;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Points still available today from ratings and reviews
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Remaining points
+ */
+async function getRemainingActivityPoints(userId) {
+  const db = await openDb();
+  try {
+    const { earned } = await db.get(
+      `SELECT COALESCE(SUM(points_delta), 0) AS earned
+       FROM wallet_transactions
+       WHERE user_id = ? AND reason IN ('rating', 'review')
+         AND date(created_at) = date('now')`,
+      [userId]
+    );
+    return Math.max(config.economy.dailyActivityPointsCap - earned, 0);
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Award points for an activity once per book, within the daily cap
+ * @param {number} userId - User ID
+ * @param {string} reason - "rating" or "review"
+ * @param {number} bookId - Book ID
+ * @returns {Promise<number>} Points awarded
+ */
+async function rewardBookActivity(userId, reason, bookId) {
+  try {
+    if (await hasTransaction(userId, reason, bookId)) {
+      return 0;
+    }
+
+    const points = Math.min(
+      config.economy.points[reason],
+      await getRemainingActivityPoints(userId)
+    );
+    if (points <= 0) {
+      logger.logDebug("Daily activity points cap reached", { userId, reason });
+      return 0;
+    }
+
+    const success = await addTransaction(userId, {
+      points,
+      reason,
+      refId: bookId,
+    });
+    return success ? points : 0;
+  } catch (error) {
+    logger.logError("Failed to reward book activity", error, {
+      userId,
+      reason,
+      bookId,
+    });
+    return 0;
+  }
+}
+
+/**
+ * Reward the first rating of a book
+ * @param {number} userId - User ID
+ * @param {number} bookId - Book ID
+ * @returns {Promise<number>} Points awarded
+ */
+async function rewardRating(userId, bookId) {
+  return rewardBookActivity(userId, "rating", bookId);
+}
+
+/**
+ * Reward the first review of a book
+ * @param {number} userId - User ID
+ * @param {number} bookId - Book ID
+ * @returns {Promise<number>} Points awarded
+ */
+async function rewardReview(userId, bookId) {
+  return rewardBookActivity(userId, "review", bookId);
+}
+
+/**
+ * Update the download streak and reward the first download of the day
+ * Call right after recordBookAccess.
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Current streak length (0 when already rewarded today)
+ */
+async function rewardDailyDownload(userId) {
+  const db = await openDb();
+  let streak;
+  try {
+    // Conditional update so concurrent downloads only count once per day
+    const { changes } = await db.run(
+      `UPDATE users
+       SET streak_days = CASE
+             WHEN last_download_date = date('now', '-1 day') THEN streak_days + 1
+             ELSE 1
+           END,
+           last_download_date = date('now')
+       WHERE user_id = ?
+         AND (last_download_date IS NULL OR last_download_date != date('now'))`,
+      [userId]
+    );
+    if (changes !== 1) {
+      return 0;
+    }
+
+    ({ streak_days: streak } = await db.get(
+      "SELECT streak_days FROM users WHERE user_id = ?",
+      [userId]
+    ));
+  } catch (error) {
+    logger.logError("Failed to update download streak", error, { userId });
+    return 0;
+  } finally {
+    await closeDb(db);
+  }
+
+  const { points, coins, streakMilestoneDays, maxStreakMultiplier } =
+    config.economy;
+  await addTransaction(userId, {
+    points: points.dailyDownload * Math.min(streak, maxStreakMultiplier),
+    reason: "daily_download",
+    refId: streak,
+  });
+  if (streak % streakMilestoneDays === 0) {
+    await addTransaction(userId, {
+      coins: coins.streakMilestone,
+      reason: "streak_bonus",
+      refId: streak,
+    });
+  }
+  return streak;
+}
+
+/**
+ * Get a user's balance and streak
+ * @param {number} userId - User ID
+ * @returns {Promise<object|null>} Balance (points, coins, streak_days)
+ */
+async function getWallet(userId) {
+  const db = await openDb();
+  try {
+    const wallet = await db.get(
+      `SELECT points, coins, streak_days, last_download_date,
+              last_download_date >= date('now', '-1 day') AS streak_active
+       FROM users WHERE user_id = ?`,
+      [userId]
+    );
+    return wallet || null;
+  } catch (error) {
+    logger.logError("Failed to get wallet", error, { userId });
+    return null;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Get a user's latest ledger entries
+ * @param {number} userId - User ID
+ * @param {number} limit - Maximum results
+ * @returns {Promise<Array>} Transactions
+ */
+async function getTransactions(userId, limit = 10) {
+  const db = await openDb();
+  try {
+    return await db.all(
+      `SELECT points_delta, coins_delta, reason, ref_id, created_at
+       FROM wallet_transactions
+       WHERE user_id = ?
+       ORDER BY id DESC
+       LIMIT ?`,
+      [userId, limit]
+    );
+  } catch (error) {
+    logger.logError("Failed to get transactions", error, { userId });
+    return [];
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Check whether a user already unlocked a book's ZIP bundle
+ * @param {number} userId - User ID
+ * @param {number} bookId - Book ID
+ * @returns {Promise<boolean>} Is unlocked
+ */
+async function isZipUnlocked(userId, bookId) {
+  if (config.economy.zipUnlockCost <= 0) return true;
+  return hasTransaction(userId, "zip_unlock", bookId);
+}
+
+/**
+ * Spend coins to unlock a book's ZIP bundle
+ * The balance check, the charge and the ledger entry run in one transaction,
+ * so repeated taps charge once and never drive the balance negative.
+ * @param {number} userId - User ID
+ * @param {number} bookId - Book ID
+ * @returns {Promise<boolean>} Unlocked (false when coins are insufficient)
+ */
+async function unlockZip(userId, bookId) {
+  const cost = config.economy.zipUnlockCost;
+  if (cost <= 0) return true;
+
+  const db = await openDb();
+  try {
+    await db.exec("BEGIN IMMEDIATE");
+    // Fails on idx_wallet_once when the book is already unlocked
+    await db.run(
+      `INSERT INTO wallet_transactions (user_id, coins_delta, reason, ref_id)
+       VALUES (?, ?, 'zip_unlock', ?)`,
+      [userId, -cost, bookId]
+    );
+    const { changes } = await db.run(
+      "UPDATE users SET coins = coins - ? WHERE user_id = ? AND coins >= ?",
+      [cost, userId, cost]
+    );
+    if (changes !== 1) {
+      await db.exec("ROLLBACK");
+      return false;
+    }
+    await db.exec("COMMIT");
+    logger.logInfo("Wallet transaction", {
+      userId,
+      coins: -cost,
+      reason: "zip_unlock",
+    });
+    return true;
+  } catch (error) {
+    await db.exec("ROLLBACK").catch(() => {});
+    // Already unlocked, e.g. by a concurrent tap
+    if (error.code === "SQLITE_CONSTRAINT") {
+      return true;
+    }
+    logger.logError("Failed to unlock ZIP", error, { userId, bookId });
+    return false;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Format a signed delta
+ * @param {number} value - Delta
+ * @returns {string} Formatted delta
+ */
+function formatDelta(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+/**
+ * /wallet - show balance, streak and latest transactions
+ * @param {object} ctx - Telegraf context
+ */
+async function showWallet(ctx) {
+  const userId = ctx.from.id;
+  const wallet = await getWallet(userId);
+
+  if (!wallet) {
+    await ctx.reply("⚠️ يرجى إرسال /start أولاً.");
+    return;
+  }
+
+  const streak = wallet.streak_active ? wallet.streak_days : 0;
+  let message = "<b>👛 محفظتك:</b>\n\n";
+  message += `🏅 النقاط: <b>${wallet.points}</b>\n`;
+  message += `🪙 العملات: <b>${wallet.coins}</b>\n`;
+  message += `🔥 أيام التحميل المتتالية: <b>${streak}</b>\n\n`;
+
+  const transactions = await getTransactions(userId);
+  if (transactions.length > 0) {
+    message += "<b>📜 آخر العمليات:</b>\n";
+    transactions.forEach((t) => {
+      const parts = [];
+      if (t.points_delta) parts.push(`${formatDelta(t.points_delta)} 🏅`);
+      if (t.coins_delta) parts.push(`${formatDelta(t.coins_delta)} 🪙`);
+      message += `• ${REASON_LABELS[t.reason] || t.reason}: ${parts.join(
+        " "
+      )}\n`;
+    });
+    message += "\n";
+  }
+
+  const { points, coins, streakMilestoneDays, zipUnlockCost } = config.economy;
+  message += "<b>💡 كيف أكسب؟</b>\n";
+  message += `• تقييم كتاب لأول مرة: +${points.rating} 🏅\n`;
+  message += `• كتابة مراجعة: +${points.review} 🏅\n`;
+  message += `• أول تحميل في اليوم: +${points.dailyDownload} 🏅 × أيام المواظبة\n`;
+  message += `• ${streakMilestoneDays} أيام متتالية: +${coins.streakMilestone} 🪙\n`;
+  message += `• إجابة صحيحة في /quiz: +${coins.quizCorrect} 🪙\n`;
+  if (zipUnlockCost > 0) {
+    message += `\n🗜️ فتح الملف المضغوط لأي كتاب: ${zipUnlockCost} 🪙`;
+  }
+
+  await ctx.reply(message, { parse_mode: "HTML" });
+}
+
+module.exports = {
+  addTransaction,
+  rewardRating,
+  rewardReview,
+  rewardDailyDownload,
+  getWallet,
+  getTransactions,
+  isZipUnlocked,
+  unlockZip,
+  showWallet,
+};
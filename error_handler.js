@@ -1,3 +1,4 @@
+const { t } = require("./i18n");
 const logger = require("./logger");
 
 /**
@@ -15,10 +16,9 @@ async function handleError(error, ctx) {
   // Send user-friendly error message
   if (ctx && ctx.reply) {
     try {
-      await ctx.reply(
-        "❌ عذراً، حدث خطأ غير متوقع. يرجى المحاولة مرة أخرى لاحقاً.",
-        { parse_mode: "HTML" }
-      );
+      await ctx.reply(t(ctx.locale, "errors.unexpected"), {
+        parse_mode: "HTML",
+      });
     } catch (replyError) {
       logger.logError("Failed to send error message to user", replyError);
     }
@@ -49,7 +49,7 @@ async function handleFileSendError(error, filePath, ctx) {
 
   if (ctx && ctx.reply) {
     try {
-      await ctx.reply("❌ عذراً، فشل إرسال الملف. يرجى المحاولة مرة أخرى.");
+      await ctx.reply(t(ctx.locale, "errors.fileSend"));
     } catch (replyError) {
       logger.logError("Failed to send file error message", replyError);
     }
@@ -70,7 +70,7 @@ async function handleSearchError(error, query, ctx) {
 
   if (ctx && ctx.reply) {
     try {
-      await ctx.reply("❌ حدث خطأ أثناء البحث. يرجى المحاولة مرة أخرى.");
+      await ctx.reply(t(ctx.locale, "errors.search"));
     } catch (replyError) {
       logger.logError("Failed to send search error message", replyError);
     }
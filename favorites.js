@@ -2,6 +2,7 @@ const { Markup } = require("telegraf");
 const { openDb, closeDb } = require("./db_manager");
 const logger = require("./logger");
 const { validateBookId, validateUserId } = require("./validators");
+const { getPageBounds, buildPager, sendPage } = require("./pagination");
 
 /**
  * Add book to user's favorites
@@ -93,9 +94,10 @@ async function isFavorite(userId, bookId) {
  * Get user's favorite books
  * @param {number} userId - User ID
  * @param {number} limit - Maximum results
+ * @param {number} offset - Rows to skip
  * @returns {Promise<Array>} List of favorite books
  */
-async function getUserFavorites(userId, limit = 50) {
+async function getUserFavorites(userId, limit = 50, offset = 0) {
   if (!validateUserId(userId)) {
     return [];
   }
@@ -109,8 +111,8 @@ async function getUserFavorites(userId, limit = 50) {
        JOIN usol_books b ON f.book_id = b.id
        WHERE f.user_id = ?
        ORDER BY f.created_at DESC
-       LIMIT ?`,
-      [userId, limit]
+       LIMIT ? OFFSET ?`,
+      [userId, limit, offset]
     );
     return favorites;
   } catch (error) {
@@ -121,6 +123,27 @@ async function getUserFavorites(userId, limit = 50) {
   }
 }
 
+/**
+ * Count user's favorite books
+ * @param {number} userId - User ID
+ * @returns {Promise<number>} Number of favorites
+ */
+async function countUserFavorites(userId) {
+  const db = await openDb();
+  try {
+    const result = await db.get(
+      "SELECT COUNT(*) as count FROM user_favorites WHERE user_id = ?",
+      [userId]
+    );
+    return result.count || 0;
+  } catch (error) {
+    logger.logError("Failed to count user favorites", error, { userId });
+    return 0;
+  } finally {
+    await closeDb(db);
+  }
+}
+
 /**
  * Handle toggle favorite action
  * @param {object} ctx - Telegraf context
@@ -134,42 +157,51 @@ async function handleToggleFavorite(ctx, bookId) {
   if (alreadyFavorite) {
     const success = await removeFromFavorites(userId, bookId);
     if (success) {
-      await ctx.answerCbQuery("💔 تم إزالة الكتاب من المفضلة");
+      await ctx.answerCbQuery(ctx.t("favorites.removed"));
     } else {
-      await ctx.answerCbQuery("❌ حدث خطأ");
+      await ctx.answerCbQuery(ctx.t("common.error"));
     }
   } else {
     const success = await addToFavorites(userId, bookId);
     if (success) {
-      await ctx.answerCbQuery("💖 تم إضافة الكتاب إلى المفضلة");
+      await ctx.answerCbQuery(ctx.t("favorites.added"));
     } else {
-      await ctx.answerCbQuery("⚠️ الكتاب موجود بالفعل في المفضلة");
+      await ctx.answerCbQuery(ctx.t("favorites.alreadyAdded"));
     }
   }
 }
 
 /**
- * Show user's favorites list
+ * Show user's favorites list, paginated
  * @param {object} ctx - Telegraf context
+ * @param {number} page - Page number (1-based)
  */
-async function showFavoritesList(ctx) {
+async function showFavoritesList(ctx, page = 1) {
   const userId = ctx.from.id;
-  const favorites = await getUserFavorites(userId);
+  const total = await countUserFavorites(userId);
 
-  if (favorites.length === 0) {
-    await ctx.reply("📭 لا توجد كتب في قائمة المفضلة الخاصة بك.");
+  if (total === 0) {
+    if (ctx.callbackQuery) await ctx.answerCbQuery();
+    await ctx.reply(ctx.t("favorites.empty"));
     return;
   }
 
-  let message = "<b>💖 كتبك المفضلة:</b>\n\n";
+  const bounds = getPageBounds(total, page);
+  const favorites = await getUserFavorites(userId, bounds.limit, bounds.offset);
+
+  let message = ctx.t("favorites.title", { count: total });
   favorites.forEach((book, index) => {
-    message += `${index + 1}. 📚 <b>${book.book_name}</b>\n`;
+    message += `${bounds.offset + index + 1}. 📚 <b>${book.book_name}</b>\n`;
     message += `   ✍️ ${book.author_name}\n`;
     message += `   📂 ${book.category}\n`;
     message += `   🔗 /book_${book.id}\n\n`;
   });
 
-  await ctx.reply(message, { parse_mode: "HTML" });
+  await sendPage(
+    ctx,
+    message,
+    buildPager("favorites_page_", bounds.page, bounds.totalPages)
+  );
 }
 
 /**
@@ -198,6 +230,7 @@ module.exports = {
   removeFromFavorites,
   isFavorite,
   getUserFavorites,
+  countUserFavorites,
   handleToggleFavorite,
   showFavoritesList,
   getFavoriteCount,
@@ -0,0 +1,168 @@
+const { Markup } = require("telegraf");
+const { openDb, closeDb } = require("./db_manager");
+const { logAdminAction } = require("./admin");
+const logger = require("./logger");
+const config = require("./config");
+
+// Names shown in the admin toggle panel
+const FEATURE_LABELS = {
+  favorites: "💖 المفضلة",
+  ratings: "⭐ التقييمات والمراجعات",
+  searchHistory: "🔍 سجل البحث",
+  recommendations: "✨ التوصيات والكتب المشابهة",
+  analytics: "📊 التقارير والإحصاءات",
+};
+
+// Settings rows are stored as "feature.<name>" = "1" | "0"
+const SETTING_PREFIX = "feature.";
+
+// Flags loaded from the settings table, overriding config.features
+let overrides = null;
+
+/**
+ * Load flag overrides from the settings table (once per process)
+ * @returns {Promise<object>} Overrides keyed by feature name
+ */
+async function loadOverrides() {
+  if (overrides) return overrides;
+
+  const db = await openDb();
+  try {
+    const rows = await db.all(
+      "SELECT key, value FROM settings WHERE key LIKE ?",
+      [`${SETTING_PREFIX}%`]
+    );
+    overrides = {};
+    rows.forEach(({ key, value }) => {
+      overrides[key.slice(SETTING_PREFIX.length)] = value === "1";
+    });
+    return overrides;
+  } catch (error) {
+    logger.logError("Failed to load feature flags", error);
+    return {};
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Check whether a feature is enabled
+ * @param {string} name - Feature name (key of config.features)
+ * @returns {Promise<boolean>} Enabled
+ */
+async function isFeatureEnabled(name) {
+  const loaded = await loadOverrides();
+  return name in loaded ? loaded[name] : config.features[name] !== false;
+}
+
+/**
+ * Get the state of every feature
+ * @returns {Promise<object>} Enabled state keyed by feature name
+ */
+async function getFeatureFlags() {
+  const flags = {};
+  for (const name of Object.keys(config.features)) {
+    flags[name] = await isFeatureEnabled(name);
+  }
+  return flags;
+}
+
+/**
+ * Persist a feature flag
+ * @param {string} name - Feature name
+ * @param {boolean} enabled - New state
+ */
+async function setFeatureFlag(name, enabled) {
+  const db = await openDb();
+  try {
+    await db.run(
+      `INSERT INTO settings (key, value, updated_at)
+       VALUES (?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(key) DO UPDATE SET
+         value = excluded.value, updated_at = excluded.updated_at`,
+      [`${SETTING_PREFIX}${name}`, enabled ? "1" : "0"]
+    );
+    (await loadOverrides())[name] = enabled;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Middleware factory that drops updates for a disabled feature
+ * @param {string} name - Feature name
+ * @returns {Function} Telegraf middleware
+ */
+function requireFeature(name) {
+  return async (ctx, next) => {
+    if (await isFeatureEnabled(name)) {
+      return next();
+    }
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery("🚫 هذه الميزة معطلة حالياً.");
+    } else {
+      await ctx.reply("🚫 هذه الميزة معطلة حالياً.");
+    }
+  };
+}
+
+/**
+ * /admin_features - show every flag with a toggle button
+ * @param {object} ctx - Telegraf context
+ */
+async function showFeatureFlags(ctx) {
+  const flags = await getFeatureFlags();
+
+  let message = "<b>⚙️ ميزات البوت</b>\n\n";
+  const keyboard = Object.entries(flags).map(([name, enabled]) => {
+    const label = FEATURE_LABELS[name] || name;
+    message += `${enabled ? "✅" : "🚫"} ${label}\n`;
+    return [
+      Markup.button.callback(
+        `${enabled ? "🚫 تعطيل" : "✅ تفعيل"} ${label}`,
+        `feature_toggle_${name}`
+      ),
+    ];
+  });
+
+  const extra = {
+    parse_mode: "HTML",
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
+  };
+  if (ctx.callbackQuery) {
+    await ctx.editMessageText(message, extra);
+  } else {
+    await ctx.reply(message, extra);
+  }
+}
+
+/**
+ * Flip a feature flag from the admin panel
+ * @param {object} ctx - Telegraf context
+ * @param {string} name - Feature name
+ */
+async function handleFeatureToggle(ctx, name) {
+  if (!(name in config.features)) {
+    await ctx.answerCbQuery("❌ ميزة غير معروفة");
+    return;
+  }
+
+  const enabled = !(await isFeatureEnabled(name));
+  await setFeatureFlag(name, enabled);
+  await logAdminAction(ctx.from.id, "feature_toggle", "settings", null, {
+    feature: name,
+    enabled,
+  });
+
+  await ctx.answerCbQuery(enabled ? "✅ تم التفعيل" : "🚫 تم التعطيل");
+  await showFeatureFlags(ctx);
+}
+
+module.exports = {
+  isFeatureEnabled,
+  getFeatureFlags,
+  setFeatureFlag,
+  requireFeature,
+  showFeatureFlags,
+  handleFeatureToggle,
+};
@@ -0,0 +1,268 @@
+const { Markup } = require("telegraf");
+const { openDb, closeDb } = require("./db_manager");
+const logger = require("./logger");
+const config = require("./config");
+
+// Message catalogs keyed by locale, one file per locale in locales/
+const catalogs = Object.fromEntries(
+  Object.keys(config.i18n.locales).map((locale) => [
+    locale,
+    require(`./locales/${locale}.json`),
+  ])
+);
+
+// Interface locale per user ID, filled on first lookup
+const userLocales = new Map();
+
+// users.selected_language value meaning "books in every language"
+const ALL_BOOK_LANGUAGES = "All";
+
+/**
+ * Check whether a locale has a message catalog
+ * @param {string} locale - Locale code
+ * @returns {boolean} Supported
+ */
+function isSupportedLocale(locale) {
+  return Object.prototype.hasOwnProperty.call(catalogs, locale);
+}
+
+/**
+ * Find a dotted key ("favorites.empty") in a catalog
+ * @param {object} catalog - Message catalog
+ * @param {string} key - Message key
+ * @returns {string|undefined} Message template
+ */
+function lookup(catalog, key) {
+  const message = key
+    .split(".")
+    .reduce((node, part) => (node ? node[part] : undefined), catalog);
+  return typeof message === "string" ? message : undefined;
+}
+
+/**
+ * Translate a message key
+ * Keys missing from a catalog fall back to the default locale.
+ * @param {string} locale - Locale code
+ * @param {string} key - Message key
+ * @param {object} params - Values for {placeholders} in the message
+ * @returns {string} Message
+ */
+function t(locale, key, params = {}) {
+  let message = lookup(catalogs[locale], key);
+  if (message === undefined) {
+    message = lookup(catalogs[config.i18n.defaultLocale], key);
+  }
+  if (message === undefined) {
+    logger.logWarning("Missing translation", { locale, key });
+    return key;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in params ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Pick the interface locale for a Telegram language_code
+ * @param {string} languageCode - Language reported by Telegram (e.g. "fa")
+ * @returns {string} Supported locale
+ */
+function guessLocale(languageCode) {
+  const code = (languageCode || "").split("-")[0].toLowerCase();
+  return isSupportedLocale(code) ? code : config.i18n.defaultLocale;
+}
+
+/**
+ * Get a user's interface locale
+ * Users who never picked one get the locale guessed from Telegram.
+ * @param {number} userId - User ID
+ * @param {string} languageCode - Language reported by Telegram
+ * @returns {Promise<string>} Locale
+ */
+async function getUserLocale(userId, languageCode) {
+  if (userLocales.has(userId)) {
+    return userLocales.get(userId);
+  }
+
+  const db = await openDb();
+  try {
+    const user = await db.get("SELECT locale FROM users WHERE user_id = ?", [
+      userId,
+    ]);
+    const locale =
+      user && isSupportedLocale(user.locale)
+        ? user.locale
+        : guessLocale(languageCode);
+    userLocales.set(userId, locale);
+    return locale;
+  } catch (error) {
+    logger.logError("Failed to get user locale", error, { userId });
+    return guessLocale(languageCode);
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Persist a user's interface locale
+ * @param {number} userId - User ID
+ * @param {string} locale - Supported locale
+ */
+async function setUserLocale(userId, locale) {
+  const db = await openDb();
+  try {
+    await db.run("UPDATE users SET locale = ? WHERE user_id = ?", [
+      locale,
+      userId,
+    ]);
+    userLocales.set(userId, locale);
+    logger.logInfo("User locale changed", { userId, locale });
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Get the language books are listed in for a user
+ * @param {number} userId - User ID
+ * @returns {Promise<string>} Key of config.books.languages or "All"
+ */
+async function getBookLanguage(userId) {
+  const db = await openDb();
+  try {
+    const user = await db.get(
+      "SELECT selected_language FROM users WHERE user_id = ?",
+      [userId]
+    );
+    return (user && user.selected_language) || ALL_BOOK_LANGUAGES;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Persist the language books are listed in
+ * @param {number} userId - User ID
+ * @param {string} language - Key of config.books.languages or "All"
+ */
+async function setBookLanguage(userId, language) {
+  const db = await openDb();
+  try {
+    await db.run("UPDATE users SET selected_language = ? WHERE user_id = ?", [
+      language,
+      userId,
+    ]);
+    logger.logInfo("User book language changed", { userId, language });
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Middleware that resolves the user's locale and exposes ctx.t(key, params)
+ * @param {object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function localize(ctx, next) {
+  ctx.locale = ctx.from
+    ? await getUserLocale(ctx.from.id, ctx.from.language_code)
+    : config.i18n.defaultLocale;
+  ctx.t = (key, params) => t(ctx.locale, key, params);
+  return next();
+}
+
+/**
+ * /language - show the interface and book language pickers
+ * @param {object} ctx - Telegraf context
+ */
+async function showLanguageSettings(ctx) {
+  const bookLanguage = await getBookLanguage(ctx.from.id);
+  const mark = (selected, label) => (selected ? `✅ ${label}` : label);
+
+  const localeRow = Object.entries(config.i18n.locales).map(([locale, name]) =>
+    Markup.button.callback(
+      mark(locale === ctx.locale, name),
+      `lang_ui_${locale}`
+    )
+  );
+  const bookRow = [
+    ALL_BOOK_LANGUAGES,
+    ...Object.keys(config.books.languages),
+  ].map((language) =>
+    Markup.button.callback(
+      mark(language === bookLanguage, ctx.t(`language.books.${language}`)),
+      `lang_books_${language}`
+    )
+  );
+
+  const message = ctx.t("language.settings", {
+    locale: config.i18n.locales[ctx.locale],
+    books: ctx.t(`language.books.${bookLanguage}`),
+  });
+  const extra = {
+    parse_mode: "HTML",
+    reply_markup: Markup.inlineKeyboard([localeRow, bookRow]).reply_markup,
+  };
+  if (ctx.callbackQuery) {
+    await ctx.editMessageText(message, extra);
+  } else {
+    await ctx.reply(message, extra);
+  }
+}
+
+/**
+ * Switch the interface locale from the /language picker
+ * @param {object} ctx - Telegraf context
+ * @param {string} locale - Picked locale
+ */
+async function handleLocaleChange(ctx, locale) {
+  if (!isSupportedLocale(locale)) {
+    await ctx.answerCbQuery(ctx.t("common.error"));
+    return;
+  }
+  // Editing the picker into identical text would fail
+  if (locale === ctx.locale) {
+    await ctx.answerCbQuery();
+    return;
+  }
+
+  await setUserLocale(ctx.from.id, locale);
+  ctx.locale = locale;
+  await ctx.answerCbQuery(ctx.t("language.saved"));
+  await showLanguageSettings(ctx);
+}
+
+/**
+ * Switch the book language filter from the /language picker
+ * @param {object} ctx - Telegraf context
+ * @param {string} language - Key of config.books.languages or "All"
+ */
+async function handleBookLanguageChange(ctx, language) {
+  if (
+    language !== ALL_BOOK_LANGUAGES &&
+    !(language in config.books.languages)
+  ) {
+    await ctx.answerCbQuery(ctx.t("common.error"));
+    return;
+  }
+  if (language === (await getBookLanguage(ctx.from.id))) {
+    await ctx.answerCbQuery();
+    return;
+  }
+
+  await setBookLanguage(ctx.from.id, language);
+  await ctx.answerCbQuery(ctx.t("language.saved"));
+  await showLanguageSettings(ctx);
+}
+
+module.exports = {
+  t,
+  guessLocale,
+  getUserLocale,
+  setUserLocale,
+  getBookLanguage,
+  setBookLanguage,
+  localize,
+  showLanguageSettings,
+  handleLocaleChange,
+  handleBookLanguageChange,
+};
@@ -5,6 +5,26 @@ const searchEngine = require("./search_engine");
 const favorites = require("./favorites");
 const rating = require("./rating");
 const recommendations = require("./recommendations");
+const bookAddition = require("./book_addition");
+const admin = require("./admin");
+const catalogImport = require("./catalog_import");
+const catalogExport = require("./catalog_export");
+const quiz = require("./quiz");
+const economy = require("./economy");
+const reviewModeration = require("./review_moderation");
+const pagination = require("./pagination");
+const inlineSearch = require("./inline_search");
+const deepLinks = require("./deep_links");
+const channelPoster = require("./channel_poster");
+const sessionStore = require("./session_store");
+const { rateLimit } = require("./rate_limiter");
+const featureFlags = require("./feature_flags");
+const statsDashboard = require("./stats_dashboard");
+const bookRequests = require("./book_requests");
+const broadcast = require("./broadcast");
+const subscriptions = require("./subscriptions");
+const i18n = require("./i18n");
+const { requireFeature } = featureFlags;
 const { handleError } = require("./error_handler");
 const logger = require("./logger");
 const config = require("./config");
@@ -23,72 +43,197 @@ function escapeHtml(text) {
     .replace(/'/g, "&#039;");
 }
 
-// Use session middleware
-bot.use(session());
+// Use session middleware (persisted per chat, see config.session)
+const sessions = sessionStore.createSessionStore();
+bot.use(
+  session({
+    store: sessions,
+    getSessionKey: sessionStore.getSessionKey,
+    defaultSession: () => ({}),
+  })
+);
+
+// Ignore banned users
+bot.use(admin.blockBannedUsers);
+
+// Per-user flood protection (see config.rateLimit)
+bot.use(rateLimit);
+
+// Keep users.last_activity current for /stats and broadcast segments
+bot.use(statsDashboard.trackUserActivity);
+
+// Interface language: sets ctx.locale and ctx.t (see i18n.js)
+bot.use(i18n.localize);
 
 // Global error handler
 bot.catch((error, ctx) => {
   handleError(error, ctx);
 });
 
+/**
+ * Build the main menu, leaving out buttons of disabled features
+ * @returns {Promise<object>} Reply keyboard
+ */
+async function buildMainKeyboard() {
+  const flags = await featureFlags.getFeatureFlags();
+  const rows = [
+    ["📖 المکتبة الحوزويّة الذکيّة"],
+    ["✍️ المؤلفون"],
+    [flags.favorites && "💖 المفضلة", flags.searchHistory && "🔍 سجل البحث"],
+    ["📚 الكتب الأخيرة", flags.recommendations && "🔥 الأكثر طلباً"],
+    [
+      flags.ratings && "⭐ الأعلى تقييماً",
+      flags.recommendations && "✨ موصى بها",
+    ],
+  ]
+    .map((row) => row.filter(Boolean))
+    .filter((row) => row.length > 0);
+  return Markup.keyboard(rows).resize();
+}
+
 // Start command handler
 bot.start(async (ctx) => {
   try {
     const user = ctx.from;
     const rawName = user.first_name || user.username;
     const name = escapeHtml(rawName);
-    const userLanguage = user.language_code;
 
     // Clear any previous session data
     ctx.session = {};
 
-    // Define the keyboard
-    const keyboard = Markup.keyboard([
-      ["📖 المکتبة الحوزويّة الذکيّة"],
-      ["💖 المفضلة", "🔍 سجل البحث"],
-      ["📚 الكتب الأخيرة", "🔥 الأكثر طلباً"],
-      ["⭐ الأعلى تقييماً", "✨ موصى بها"],
-    ]).resize();
-
-    // Welcome message based on user language
-    let welcomeMessage;
-    if (userLanguage === "fa") {
-      welcomeMessage = `‏<b>${name} عزیز!</b> به ربات <b>المکتبة الذکیّة</b> خوش آمدید!`;
-    } else {
-      welcomeMessage = `مرحبا <b>${name}</b> في بوت <b>المکتبة الذکيّة</b>!`;
-    }
+    // Define the keyboard (buttons of disabled features are hidden)
+    const keyboard = await buildMainKeyboard();
 
-    await ctx.reply(welcomeMessage, {
+    // Welcome message in the user's interface language
+    await ctx.reply(ctx.t("start.welcome", { name }), {
       reply_to_message_id: ctx.message.message_id,
       reply_markup: keyboard.reply_markup,
       parse_mode: "HTML",
     });
 
-    // Add user to the database
-    await dbManager.addUser(user.id, name, userLanguage);
+    // Add user to the database (the locale is only stored for new users)
+    await dbManager.addUser(user.id, name, ctx.locale);
     logger.logInfo("User started bot", { userId: user.id, name });
+
+    // Open what a t.me/<bot>?start=... link points to
+    const target = await deepLinks.resolveStartPayload(ctx.startPayload);
+    if (target && target.type === "book") {
+      await searchEngine.showBookDetails(ctx, target.bookId);
+    } else if (target && target.type === "author") {
+      await listBooks.showAuthorBooks(ctx, target.authorKey);
+    } else if (target && target.type === "category") {
+      await listBooks.handleListBooks(ctx, {
+        filter_category: target.category,
+      });
+    } else if (ctx.startPayload && ctx.startPayload !== "inline") {
+      await ctx.reply("❌ الرابط غير صالح أو لم يعد متاحًا.");
+    }
   } catch (error) {
     logger.logError("Error in start command", error);
     await ctx.reply("❌ حدث خطأ. يرجى المحاولة مرة أخرى.");
   }
 });
 
+// Inline mode: search the library from any chat
+bot.on("inline_query", (ctx) => inlineSearch.handleInlineQuery(ctx));
+
 // Message handlers for main menu buttons
 bot.hears("📖 المکتبة الحوزويّة الذکيّة", (ctx) =>
   listBooks.showCategories(ctx)
 );
 
-bot.hears("💖 المفضلة", (ctx) => favorites.showFavoritesList(ctx));
+bot.hears("✍️ المؤلفون", (ctx) => listBooks.showAuthorsIndex(ctx));
+
+bot.hears("💖 المفضلة", requireFeature("favorites"), (ctx) =>
+  favorites.showFavoritesList(ctx)
+);
 
-bot.hears("🔍 سجل البحث", (ctx) => searchEngine.showSearchHistory(ctx));
+bot.hears("🔍 سجل البحث", requireFeature("searchHistory"), (ctx) =>
+  searchEngine.showSearchHistory(ctx)
+);
 
 bot.hears("📚 الكتب الأخيرة", (ctx) => searchEngine.showRecentBooks(ctx));
 
-bot.hears("🔥 الأكثر طلباً", (ctx) => recommendations.showPopularBooks(ctx));
+bot.hears("🔥 الأكثر طلباً", requireFeature("recommendations"), (ctx) =>
+  recommendations.showPopularBooks(ctx)
+);
+
+bot.hears("⭐ الأعلى تقييماً", requireFeature("ratings"), (ctx) =>
+  recommendations.showTopRated(ctx)
+);
+
+bot.hears("✨ موصى بها", requireFeature("recommendations"), (ctx) =>
+  recommendations.showRecommendations(ctx)
+);
 
-bot.hears("⭐ الأعلى تقييماً", (ctx) => recommendations.showTopRated(ctx));
+// Interface and book language settings
+bot.command("language", (ctx) => i18n.showLanguageSettings(ctx));
 
-bot.hears("✨ موصى بها", (ctx) => recommendations.showRecommendations(ctx));
+// New-book subscriptions
+bot.command("subscribe", (ctx) => subscriptions.showCategoryPicker(ctx));
+bot.command("subscriptions", (ctx) => subscriptions.showSubscriptions(ctx));
+
+// Admin commands
+bot.command("add_book", admin.requireAdmin("books"), (ctx) =>
+  bookAddition.startBookAddition(ctx)
+);
+bot.command("admin_edit", admin.requireAdmin("books"), admin.handleEditBook);
+bot.command("admin_move", admin.requireAdmin("books"), admin.handleMoveBook);
+bot.command(
+  "admin_delete",
+  admin.requireAdmin("books"),
+  admin.handleDeleteBook
+);
+bot.command("wanted", admin.requireAdmin("books"), (ctx) =>
+  bookRequests.showMostWanted(ctx)
+);
+bot.command("import", admin.requireAdmin("books"), (ctx) =>
+  catalogImport.startImport(ctx)
+);
+bot.command(
+  "export",
+  admin.requireAdmin(),
+  requireFeature("analytics"),
+  catalogExport.handleExport
+);
+bot.command("stats", admin.requireAdmin(), requireFeature("analytics"), (ctx) =>
+  statsDashboard.showStats(ctx)
+);
+bot.command("admin_ban", admin.requireAdmin("users"), admin.handleBanUser);
+bot.command("admin_unban", admin.requireAdmin("users"), admin.handleUnbanUser);
+bot.command("admin_add", admin.requireAdmin("admins"), admin.handleAddAdmin);
+bot.command(
+  "admin_remove",
+  admin.requireAdmin("admins"),
+  admin.handleRemoveAdmin
+);
+bot.command("broadcast", admin.requireAdmin("admins"), (ctx) =>
+  broadcast.startBroadcast(ctx)
+);
+bot.command("admin_log", admin.requireAdmin(), admin.handleAuditLog);
+bot.command("admin_help", admin.requireAdmin(), admin.handleAdminHelp);
+bot.command("admin_features", admin.requireAdmin("admins"), (ctx) =>
+  featureFlags.showFeatureFlags(ctx)
+);
+
+// Quiz commands
+bot.command("quiz", (ctx) => quiz.showQuizQuestion(ctx));
+bot.command("wallet", (ctx) => economy.showWallet(ctx));
+bot.command("leaderboard", (ctx) => quiz.showLeaderboard(ctx));
+bot.command("quiz_submit", (ctx) => quiz.startQuestionSubmission(ctx));
+bot.command("quiz_pending", admin.requireAdmin("books"), (ctx) =>
+  quiz.showPendingQuestion(ctx)
+);
+
+bot.command("reviews_queue", admin.requireAdmin("users"), (ctx) =>
+  reviewModeration.showReviewQueue(ctx)
+);
+
+// Cancel any multi-step flow
+bot.command("cancel", async (ctx) => {
+  ctx.session = {};
+  await ctx.reply("❌ تم إلغاء العملية الحالية.");
+});
 
 // General message handler for text messages
 bot.on("text", async (ctx) => {
@@ -107,11 +252,26 @@ bot.on("text", async (ctx) => {
     // For now, we'll default to the search engine.
     // We'll add more sophisticated state handling later.
     if (ctx.session.searching_author) {
-      // await listBooks.handleAuthorsSearch(ctx);
+      await listBooks.handleAuthorsSearch(ctx);
       return;
     }
     if (ctx.session.addition_step === "book") {
-      // await dbManager.handleBooksStep(ctx);
+      await bookAddition.handleBooksStep(ctx);
+      return;
+    }
+    if (
+      ctx.session.writing_review &&
+      (await featureFlags.isFeatureEnabled("ratings"))
+    ) {
+      await rating.handleReviewText(ctx);
+      return;
+    }
+    if (ctx.session.quiz_submission) {
+      await quiz.handleSubmissionStep(ctx);
+      return;
+    }
+    if (broadcast.isAwaitingContent(ctx)) {
+      await broadcast.handleBroadcastContent(ctx);
       return;
     }
 
@@ -126,35 +286,278 @@ bot.on("text", async (ctx) => {
   }
 });
 
+// Document uploads (book addition, catalog import and broadcast flows)
+bot.on("document", async (ctx) => {
+  try {
+    if (broadcast.isAwaitingContent(ctx)) {
+      await broadcast.handleBroadcastContent(ctx);
+      return;
+    }
+    if (ctx.session.addition_step === "book") {
+      await bookAddition.handleBookDocument(ctx);
+      return;
+    }
+    if (ctx.session.import_mode) {
+      await catalogImport.handleImportDocument(ctx);
+    }
+  } catch (error) {
+    logger.logError("Error handling document", error, {
+      userId: ctx.from.id,
+    });
+    await ctx.reply("❌ حدث خطأ. يرجى المحاولة مرة أخرى.");
+  }
+});
+
+// Photo uploads (broadcast flow)
+bot.on("photo", async (ctx) => {
+  try {
+    if (broadcast.isAwaitingContent(ctx)) {
+      await broadcast.handleBroadcastContent(ctx);
+    }
+  } catch (error) {
+    logger.logError("Error handling photo", error, {
+      userId: ctx.from.id,
+    });
+    await ctx.reply("❌ حدث خطأ. يرجى المحاولة مرة أخرى.");
+  }
+});
+
 // Callback query handlers
 
 // Category selection
-bot.action(/category_(.+)/, (ctx) => {
+bot.action(/^category_(.+)$/, (ctx) => {
   const category = ctx.match[1];
   listBooks.handleListBooks(ctx, { filter_category: category });
 });
 
 // Pagination
-bot.action(/page_(.+)_(\d+)/, (ctx) => {
+bot.action(/^page_(.+)_(\d+)$/, (ctx) => {
   const category = ctx.match[1];
   const page = parseInt(ctx.match[2], 10);
   listBooks.handleListBooks(ctx, { filter_category: category, page: page });
 });
 
+bot.action(/^favorites_page_(\d+)$/, requireFeature("favorites"), (ctx) =>
+  favorites.showFavoritesList(ctx, parseInt(ctx.match[1], 10))
+);
+
+bot.action(/^history_page_(\d+)$/, requireFeature("searchHistory"), (ctx) =>
+  searchEngine.showSearchHistory(ctx, parseInt(ctx.match[1], 10))
+);
+
+bot.action(
+  /^popular_page_(?:(.+)_)?(\d+)$/,
+  requireFeature("recommendations"),
+  (ctx) =>
+    recommendations.showPopularBooks(
+      ctx,
+      ctx.match[1] || null,
+      parseInt(ctx.match[2], 10)
+    )
+);
+
+bot.action(/^top_rated_page_(\d+)$/, requireFeature("ratings"), (ctx) =>
+  recommendations.showTopRated(ctx, parseInt(ctx.match[1], 10))
+);
+
+// Requests for books that were not found
+bot.action("book_request", async (ctx) => {
+  try {
+    await bookRequests.handleBookRequest(ctx);
+  } catch (error) {
+    logger.logError("Error saving book request", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+bot.action(/^wanted_page_(\d+)$/, admin.requireAdmin("books"), async (ctx) => {
+  try {
+    await bookRequests.showMostWanted(ctx, parseInt(ctx.match[1], 10));
+  } catch (error) {
+    logger.logError("Error showing book requests", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+// Broadcast flow
+bot.action(
+  /^broadcast_segment_(language|active|favorites)$/,
+  admin.requireAdmin("admins"),
+  (ctx) => broadcast.handleSegmentChange(ctx, ctx.match[1])
+);
+bot.action("broadcast_preview", admin.requireAdmin("admins"), (ctx) =>
+  broadcast.showPreview(ctx)
+);
+bot.action("broadcast_edit", admin.requireAdmin("admins"), (ctx) =>
+  broadcast.handleEditSegment(ctx)
+);
+bot.action("broadcast_send", admin.requireAdmin("admins"), async (ctx) => {
+  try {
+    await broadcast.confirmBroadcast(ctx);
+  } catch (error) {
+    logger.logError("Error starting broadcast", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+bot.action("broadcast_cancel", admin.requireAdmin("admins"), (ctx) =>
+  broadcast.cancelBroadcast(ctx)
+);
+
+// Statistics period selection
+bot.action(
+  /^stats_period_(today|7d|30d)$/,
+  admin.requireAdmin(),
+  requireFeature("analytics"),
+  async (ctx) => {
+    try {
+      await statsDashboard.showStats(ctx, ctx.match[1]);
+    } catch (error) {
+      logger.logError("Error showing statistics", error);
+      await ctx.answerCbQuery("❌ حدث خطأ");
+    }
+  }
+);
+
+// Feature flag toggles
+bot.action(
+  /^feature_toggle_(\w+)$/,
+  admin.requireAdmin("admins"),
+  async (ctx) => {
+    try {
+      await featureFlags.handleFeatureToggle(ctx, ctx.match[1]);
+    } catch (error) {
+      logger.logError("Error toggling feature flag", error);
+      await ctx.answerCbQuery("❌ حدث خطأ");
+    }
+  }
+);
+
+// Current page button of a pager
+bot.action(pagination.NOOP_CALLBACK, (ctx) => ctx.answerCbQuery());
+
+// Unlock a ZIP bundle with coins
+bot.action(/^zip_unlock_(\d+)$/, async (ctx) => {
+  try {
+    await listBooks.handleZipUnlock(ctx, parseInt(ctx.match[1], 10));
+  } catch (error) {
+    logger.logError("Error unlocking zip file", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
 // Hide categories button
 bot.action("hide_categories", (ctx) => {
   ctx.editMessageText("📭 حله بکارت برس", { parse_mode: "HTML" });
   ctx.answerCbQuery();
 });
 
+// Subscriptions
+bot.action(/^sub_(category|author|pick)_([A-Za-z0-9_-]+)$/, async (ctx) => {
+  try {
+    const fromPicker = ctx.match[1] === "pick";
+    await subscriptions.handleSubscriptionToggle(
+      ctx,
+      fromPicker ? "category" : ctx.match[1],
+      ctx.match[2],
+      fromPicker
+    );
+  } catch (error) {
+    logger.logError("Error toggling subscription", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+bot.action("sub_picker", (ctx) => subscriptions.showCategoryPicker(ctx));
+bot.action("sub_list", (ctx) => subscriptions.showSubscriptions(ctx));
+
+bot.action(/^sub_remove_(\d+|all)$/, async (ctx) => {
+  try {
+    await subscriptions.handleRemoveSubscription(
+      ctx,
+      ctx.match[1] === "all" ? null : parseInt(ctx.match[1], 10)
+    );
+  } catch (error) {
+    logger.logError("Error removing subscription", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+// Language settings
+bot.action(/^lang_ui_([a-z]+)$/, async (ctx) => {
+  try {
+    await i18n.handleLocaleChange(ctx, ctx.match[1]);
+  } catch (error) {
+    logger.logError("Error changing interface language", error);
+    await ctx.answerCbQuery(ctx.t("common.error"));
+  }
+});
+
+bot.action(/^lang_books_([A-Za-z]+)$/, async (ctx) => {
+  try {
+    await i18n.handleBookLanguageChange(ctx, ctx.match[1]);
+  } catch (error) {
+    logger.logError("Error changing book language", error);
+    await ctx.answerCbQuery(ctx.t("common.error"));
+  }
+});
+
+// Authors index pagination
+bot.action(/^authors_page_(\d+)$/, (ctx) => {
+  const page = parseInt(ctx.match[1], 10);
+  listBooks.showAuthorsIndex(ctx, page);
+});
+
+// Author search mode
+bot.action("author_search", (ctx) => listBooks.startAuthorsSearch(ctx));
+
+// Author page navigation
+bot.action(/^author_books_(\d+)_(\d+)$/, async (ctx) => {
+  try {
+    const authorKey = parseInt(ctx.match[1], 10);
+    await listBooks.showAuthorBooks(ctx, authorKey, parseInt(ctx.match[2], 10));
+  } catch (error) {
+    logger.logError("Error showing author books", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+// Author page
+bot.action(/^author_(\d+)$/, async (ctx) => {
+  try {
+    const authorKey = parseInt(ctx.match[1], 10);
+    await listBooks.showAuthorBooks(ctx, authorKey);
+  } catch (error) {
+    logger.logError("Error showing author books", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
 // Similar result selection
 bot.action(/similar_result_(\d+)/, (ctx) => {
   const bookId = ctx.match[1];
   searchEngine.handleSearchEngine(ctx, { book_id: bookId });
 });
 
+// Search results list
+bot.action(/^search_page_(\d+)$/, (ctx) =>
+  searchEngine.showSearchResults(ctx, parseInt(ctx.match[1], 10))
+);
+
+bot.action(/^result_(download|details)_(\d+)$/, async (ctx) => {
+  try {
+    await searchEngine.handleResultSelection(
+      ctx,
+      parseInt(ctx.match[2], 10),
+      ctx.match[1]
+    );
+  } catch (error) {
+    logger.logError("Error handling search result selection", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
 // Favorites toggle
-bot.action(/fav_toggle_(\d+)/, async (ctx) => {
+bot.action(/fav_toggle_(\d+)/, requireFeature("favorites"), async (ctx) => {
   try {
     const bookId = parseInt(ctx.match[1]);
     await favorites.handleToggleFavorite(ctx, bookId);
@@ -165,7 +568,7 @@ bot.action(/fav_toggle_(\d+)/, async (ctx) => {
 });
 
 // Show rating interface
-bot.action(/show_rate_(\d+)/, async (ctx) => {
+bot.action(/show_rate_(\d+)/, requireFeature("ratings"), async (ctx) => {
   try {
     const bookId = parseInt(ctx.match[1]);
     await rating.showRatingInterface(ctx, bookId);
@@ -177,7 +580,7 @@ bot.action(/show_rate_(\d+)/, async (ctx) => {
 });
 
 // Handle rating callback
-bot.action(/rate_(\d+)_(\d)/, async (ctx) => {
+bot.action(/rate_(\d+)_(\d)/, requireFeature("ratings"), async (ctx) => {
   try {
     const bookId = parseInt(ctx.match[1]);
     const ratingValue = parseInt(ctx.match[2]);
@@ -188,11 +591,152 @@ bot.action(/rate_(\d+)_(\d)/, async (ctx) => {
   }
 });
 
+// Reviews
+bot.action(/^reviews_(\d+)$/, requireFeature("ratings"), async (ctx) => {
+  try {
+    await rating.showBookReviews(ctx, parseInt(ctx.match[1], 10));
+  } catch (error) {
+    logger.logError("Error showing reviews", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+bot.action(
+  /^reviews_page_(\d+)_(\d+)$/,
+  requireFeature("ratings"),
+  async (ctx) => {
+    try {
+      await rating.showBookReviews(ctx, parseInt(ctx.match[1], 10), {
+        page: parseInt(ctx.match[2], 10),
+        edit: true,
+      });
+    } catch (error) {
+      logger.logError("Error paging reviews", error);
+      await ctx.answerCbQuery("❌ حدث خطأ");
+    }
+  }
+);
+
+bot.action(/^review_write_(\d+)$/, requireFeature("ratings"), async (ctx) => {
+  try {
+    await rating.startReviewWriting(ctx, parseInt(ctx.match[1], 10));
+  } catch (error) {
+    logger.logError("Error starting review", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+bot.action(/^review_delete_(\d+)$/, requireFeature("ratings"), async (ctx) => {
+  try {
+    await rating.handleDeleteReview(ctx, parseInt(ctx.match[1], 10));
+  } catch (error) {
+    logger.logError("Error deleting review", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+bot.action(/^review_report_(\d+)$/, requireFeature("ratings"), (ctx) =>
+  reviewModeration.handleReportReview(ctx, parseInt(ctx.match[1], 10))
+);
+
+bot.action(
+  /^rmod_(approve|reject|ban)_(\d+)$/,
+  admin.requireAdmin("users"),
+  async (ctx) => {
+    try {
+      await reviewModeration.handleReviewModeration(
+        ctx,
+        parseInt(ctx.match[2], 10),
+        ctx.match[1]
+      );
+    } catch (error) {
+      logger.logError("Error moderating review", error);
+      await ctx.answerCbQuery("❌ حدث خطأ");
+    }
+  }
+);
+
+// Book addition flow
+bot.action(/add_book_lang_(\w+)/, async (ctx) => {
+  try {
+    await bookAddition.handleLanguageCallback(ctx, ctx.match[1]);
+  } catch (error) {
+    logger.logError("Error selecting book language", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+bot.action("add_book_done", async (ctx) => {
+  try {
+    await bookAddition.handleFilesDone(ctx);
+  } catch (error) {
+    logger.logError("Error finishing book files", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+bot.action("add_book_confirm", async (ctx) => {
+  try {
+    await bookAddition.handleConfirm(ctx);
+  } catch (error) {
+    logger.logError("Error confirming book", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+bot.action("add_book_cancel", async (ctx) => {
+  try {
+    await bookAddition.handleCancel(ctx);
+  } catch (error) {
+    logger.logError("Error cancelling book addition", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+// Quiz answers and moderation
+bot.action(/^quiz_answer_(\d+)_(\d+)$/, async (ctx) => {
+  try {
+    const askedId = parseInt(ctx.match[1], 10);
+    const optionIndex = parseInt(ctx.match[2], 10);
+    await quiz.handleQuizAnswer(ctx, askedId, optionIndex);
+  } catch (error) {
+    logger.logError("Error handling quiz answer", error);
+    await ctx.answerCbQuery("❌ حدث خطأ");
+  }
+});
+
+bot.action("quiz_next", (ctx) => quiz.showQuizQuestion(ctx));
+
+bot.action(
+  /^quiz_(approve|reject)_(\d+)$/,
+  admin.requireAdmin("books"),
+  async (ctx) => {
+    try {
+      const status = ctx.match[1] === "approve" ? "approved" : "rejected";
+      await quiz.handleQuestionReview(ctx, parseInt(ctx.match[2], 10), status);
+    } catch (error) {
+      logger.logError("Error reviewing quiz question", error);
+      await ctx.answerCbQuery("❌ حدث خطأ");
+    }
+  }
+);
+
 // Initialize the database and start the bot
+let channelPostingTimer = null;
+let sessionCleanupTimer = null;
+let subscriptionTimer = null;
 dbManager
   .createDatabase()
   .then(() => {
     bot.launch();
+    channelPostingTimer = channelPoster.startChannelPosting(bot.telegram);
+    sessionCleanupTimer = sessionStore.startSessionCleanup(sessions);
+    subscriptionTimer = subscriptions.startSubscriptionNotifications(
+      bot.telegram
+    );
+    broadcast
+      .resumeBroadcasts(bot.telegram)
+      .catch((error) => logger.logError("Failed to resume broadcasts", error));
     logger.logInfo("Bot started successfully");
     console.log("✅ Bot started successfully.");
   })
@@ -205,10 +749,16 @@ dbManager
 // Graceful stop
 process.once("SIGINT", () => {
   logger.logInfo("Bot stopping (SIGINT)");
+  clearInterval(channelPostingTimer);
+  clearInterval(sessionCleanupTimer);
+  clearInterval(subscriptionTimer);
   bot.stop("SIGINT");
 });
 
 process.once("SIGTERM", () => {
   logger.logInfo("Bot stopping (SIGTERM)");
+  clearInterval(channelPostingTimer);
+  clearInterval(sessionCleanupTimer);
+  clearInterval(subscriptionTimer);
   bot.stop("SIGTERM");
 });
@@ -0,0 +1,117 @@
+const { Markup } = require("telegraf");
+const {
+  advancedSearch,
+  getPopularBooks,
+  convertToEnglishDigits,
+  normalizePersianArabicChars,
+  getPartsCount,
+} = require("./advanced_search");
+const { sanitizeHtml } = require("./validators");
+const { getBookLink } = require("./deep_links");
+const logger = require("./logger");
+const config = require("./config");
+
+/**
+ * Build the card shared into a chat when an inline result is chosen
+ * @param {object} book - Book row
+ * @returns {string} HTML card
+ */
+function buildBookCard(book) {
+  const parts = getPartsCount(book);
+  return `
+📚 <b>${sanitizeHtml(book.book_name)}</b>
+✍️ <b>المؤلف : </b> ${sanitizeHtml(book.author_name)}
+📂 <b>القسم : </b> ${sanitizeHtml(book.category || "غير محدد")}
+📄 <b>عدد الأجزاء : </b> ${parts}
+  `.trim();
+}
+
+/**
+ * Turn a book into an inline result
+ * Single-file books are shared as the document itself; multi-part books and
+ * books without a file are shared as a card linking back to the bot.
+ * @param {object} ctx - Telegraf context
+ * @param {object} book - Book row
+ * @returns {object} InlineQueryResult
+ */
+function buildInlineResult(ctx, book) {
+  const card = buildBookCard(book);
+  const keyboard = Markup.inlineKeyboard([
+    [
+      Markup.button.url(
+        "📖 فتح في البوت",
+        getBookLink(ctx.botInfo.username, book.id)
+      ),
+    ],
+  ]);
+  const description = `${book.author_name} • ${getPartsCount(book)} جزء`;
+
+  if (getPartsCount(book) === 1) {
+    return {
+      type: "document",
+      id: `book_${book.id}`,
+      title: book.book_name,
+      description,
+      document_file_id: book.file_path,
+      caption: card,
+      parse_mode: "HTML",
+      reply_markup: keyboard.reply_markup,
+    };
+  }
+
+  return {
+    type: "article",
+    id: `book_${book.id}`,
+    title: book.book_name,
+    description,
+    input_message_content: {
+      message_text: card,
+      parse_mode: "HTML",
+    },
+    reply_markup: keyboard.reply_markup,
+  };
+}
+
+/**
+ * Answer an inline query with matching books
+ * An empty query lists the most requested books.
+ * @param {object} ctx - Telegraf context
+ */
+async function handleInlineQuery(ctx) {
+  const userId = ctx.from.id;
+  const query = ctx.inlineQuery.query.trim();
+
+  try {
+    let books = [];
+    if (!query) {
+      books = await getPopularBooks(config.inline.maxResults);
+    } else if (query.length <= config.search.maxQueryLength) {
+      books = await advancedSearch(
+        convertToEnglishDigits(normalizePersianArabicChars(query)),
+        { sortBy: "relevance", limit: config.inline.maxResults }
+      );
+    }
+
+    const results = books.map((book) => buildInlineResult(ctx, book));
+    await ctx.answerInlineQuery(results, {
+      cache_time: config.inline.cacheTime,
+      switch_pm_text:
+        results.length === 0 ? "🔍 البحث في البوت" : "📖 فتح المكتبة",
+      switch_pm_parameter: "inline",
+    });
+
+    logger.logInfo("Inline query answered", {
+      userId,
+      query,
+      resultsCount: results.length,
+    });
+  } catch (error) {
+    logger.logError("Error answering inline query", error, { userId, query });
+    await ctx.answerInlineQuery([], { cache_time: 0 });
+  }
+}
+
+module.exports = {
+  buildBookCard,
+  handleInlineQuery,
+};
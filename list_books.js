@@ -5,7 +5,18 @@ const {
   incrementBookRequestCount,
   recordBookAccess,
 } = require("./db_manager");
+const {
+  normalizePersianArabicChars,
+  calculateSimilarity,
+} = require("./advanced_search");
+const economy = require("./economy");
+const { getPageBounds, buildPager, sendPage } = require("./pagination");
+const { validateUserInput, sanitizeHtml } = require("./validators");
+const { getAuthorLink, getCategoryLink, getShareUrl } = require("./deep_links");
+const { isSubscribed, getSubscriptionButton } = require("./subscriptions");
+const { getBookLanguage } = require("./i18n");
 const logger = require("./logger");
+const config = require("./config");
 
 // Helper function to truncate text
 function truncateText(text, maxLength = 35) {
@@ -23,7 +34,7 @@ async function showCategories(ctx) {
     );
 
     if (!categories || categories.length === 0) {
-      await ctx.reply("لاتوجد معلومات متاحة.");
+      await ctx.reply(ctx.t("common.noData"));
       return;
     }
 
@@ -56,14 +67,11 @@ async function showCategories(ctx) {
       keyboard.push(row);
     }
     keyboard.push([
-      Markup.button.callback("❌ إخفاء الفئات", "hide_categories"),
+      Markup.button.callback(ctx.t("books.followCategories"), "sub_picker"),
+      Markup.button.callback(ctx.t("books.hideCategories"), "hide_categories"),
     ]);
 
-    const text = `<b>📚 قائمة الأقسام :</b>
-🔷 یرجی اختیار قسم بالضغظ علی اسم الأقسام التاليّة حتی یعرض  الکتب.
-🔷 و للحصول علی ملف PDF اضغط علی الأمر الشبیه بـ :/book_10`;
-
-    await ctx.reply(text, {
+    await ctx.reply(ctx.t("books.categoriesIntro"), {
       reply_to_message_id: ctx.message.message_id,
       reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
       parse_mode: "HTML",
@@ -72,28 +80,26 @@ async function showCategories(ctx) {
     logger.logInfo("Categories shown", { userId: ctx.from.id });
   } catch (error) {
     logger.logError("Error in showCategories", error);
-    await ctx.reply("An error occurred while fetching categories.");
+    await ctx.reply(ctx.t("books.categoriesError"));
   } finally {
     await closeDb(db);
   }
 }
 
+/**
+ * Show one page of books, optionally filtered by category
+ * Counting and paging happen in SQL so large categories stay cheap.
+ * @param {object} ctx - Telegraf context
+ * @param {object} options - List options
+ * @param {number} options.page - Page number (1-based)
+ * @param {string} options.filter_category - Category name
+ */
 async function handleListBooks(ctx, { page = 1, filter_category = null } = {}) {
   const db = await openDb();
   try {
-    // Get user's selected language
-    const user = await db.get(
-      "SELECT selected_language FROM users WHERE user_id = ?",
-      [ctx.from.id]
-    );
-    const userLanguage = user ? user.selected_language : "All";
-
-    let query = `
-      SELECT id, book_name, author_name, 
-             (LENGTH(file_path) - LENGTH(REPLACE(file_path, '|', '')) + 1) AS parts_count,
-             zip_file_path
-      FROM usol_books
-    `;
+    // Book language picked with /language
+    const userLanguage = await getBookLanguage(ctx.from.id);
+
     const params = [];
     const whereClauses = [];
 
@@ -106,71 +112,86 @@ async function handleListBooks(ctx, { page = 1, filter_category = null } = {}) {
       params.push(userLanguage);
     }
 
-    if (whereClauses.length > 0) {
-      query += " WHERE " + whereClauses.join(" AND ");
-    }
+    const where =
+      whereClauses.length > 0 ? " WHERE " + whereClauses.join(" AND ") : "";
 
-    const books_list = await db.all(query, params);
-    const sorted_books = books_list.sort((a, b) =>
-      a.book_name.localeCompare(b.book_name)
+    const { total } = await db.get(
+      `SELECT COUNT(*) AS total FROM usol_books${where}`,
+      params
     );
+    const bounds = getPageBounds(total, page);
 
-    const items_per_page = 20;
-    const start_index = (page - 1) * items_per_page;
-    const end_index = start_index + items_per_page;
-    const current_page_items = sorted_books.slice(start_index, end_index);
+    const current_page_items = await db.all(
+      `SELECT id, book_name, author_name, 
+              (LENGTH(file_path) - LENGTH(REPLACE(file_path, '|', '')) + 1) AS parts_count,
+              zip_file_path
+       FROM usol_books${where}
+       ORDER BY book_name
+       LIMIT ? OFFSET ?`,
+      [...params, bounds.limit, bounds.offset]
+    );
 
-    const category_name = filter_category ? filter_category : "جميع الأقسام";
-    let books_text = `📊 مجموع الكتب لقسم <b>${category_name}</b> : ${books_list.length}\n\n`;
+    const category_name = filter_category
+      ? filter_category
+      : ctx.t("books.allCategories");
+    let books_text = ctx.t("books.listTotal", {
+      category: category_name,
+      total,
+    });
+    if (bounds.totalPages > 1) {
+      books_text += ctx.t("books.listPage", bounds);
+    }
+    books_text += "\n";
 
     current_page_items.forEach((book) => {
-      books_text += `📘 <b>اسم الكتاب : ${book.book_name}</b>\n`;
-      books_text += `✍️ <b>الكاتب :</b> ${book.author_name}\n`;
-      books_text += `📑 <b>الاجزا :</b> ${book.parts_count}\n`;
-      books_text += `🔗 <b>للتحميل : /book_${book.id}</b>\n`;
+      books_text += ctx.t("books.listItem", {
+        id: book.id,
+        name: book.book_name,
+        author: book.author_name,
+        parts: book.parts_count,
+      });
       if (book.parts_count >= 10) {
         const zip_status_emoji = book.zip_file_path ? "✅" : "❌";
-        books_text += `🗜️ <b>الملف المضغوط : /zip_${book.id} ${zip_status_emoji}</b>\n`;
+        books_text += ctx.t("books.listItemZip", {
+          id: book.id,
+          status: zip_status_emoji,
+        });
       }
       books_text += "\n";
     });
 
-    const total_pages = Math.ceil(sorted_books.length / items_per_page);
-    const keyboard = [];
-    if (total_pages > 1) {
-      const row = [];
-      for (let i = 1; i <= total_pages; i++) {
-        row.push(
-          Markup.button.callback(
-            i === page ? `✔️ ${i}` : `${i}`,
-            `page_${filter_category}_${i}`
+    const keyboard = buildPager(
+      `page_${filter_category}_`,
+      bounds.page,
+      bounds.totalPages
+    );
+    if (filter_category) {
+      const subscribed = await isSubscribed(
+        ctx.from.id,
+        "category",
+        filter_category
+      );
+      keyboard.push([
+        getSubscriptionButton("category", filter_category, subscribed),
+        Markup.button.url(
+          ctx.t("books.shareCategory"),
+          getShareUrl(
+            getCategoryLink(ctx.botInfo.username, filter_category),
+            category_name
           )
-        );
-      }
-      keyboard.push(row);
-    }
-
-    if (ctx.callbackQuery) {
-      await ctx.editMessageText(books_text, {
-        reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
-        parse_mode: "HTML",
-      });
-      await ctx.answerCbQuery();
-    } else {
-      await ctx.reply(books_text, {
-        reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
-        parse_mode: "HTML",
-      });
+        ),
+      ]);
     }
+    await sendPage(ctx, books_text, keyboard);
 
     logger.logInfo("Books list shown", {
       userId: ctx.from.id,
       category: filter_category,
-      page,
+      page: bounds.page,
     });
   } catch (error) {
     logger.logError("Error in handleListBooks", error);
-    await ctx.reply("An error occurred while fetching the book list.");
+    await ctx.reply(ctx.t("books.listError"));
   } finally {
     await closeDb(db);
   }
@@ -203,7 +224,8 @@ async function pdfCallback(ctx) {
       if (filesSent > 0) {
         await incrementBookRequestCount(bookId);
         await recordBookAccess(ctx.from.id, bookId);
-        await ctx.reply(`📥 تم إرسال ${filesSent} ملف.`);
+        await economy.rewardDailyDownload(ctx.from.id);
+        await ctx.reply(ctx.t("common.filesSent", { count: filesSent }));
 
         logger.logInfo("Book sent to user", {
           userId: ctx.from.id,
@@ -211,14 +233,14 @@ async function pdfCallback(ctx) {
           filesSent,
         });
       } else {
-        await ctx.reply("❌ حدثت مشكلة في إرسال الملفات.");
+        await ctx.reply(ctx.t("common.filesFailed"));
       }
     } else {
-      await ctx.reply("❌ لم يتم العثور على الكتاب.");
+      await ctx.reply(ctx.t("books.notFound"));
     }
   } catch (error) {
     logger.logError("Error in pdfCallback", error, { bookId });
-    await ctx.reply("An error occurred while fetching the book.");
+    await ctx.reply(ctx.t("books.fetchError"));
   } finally {
     await closeDb(db);
   }
@@ -228,7 +250,7 @@ async function zipCallback(ctx) {
   const match = ctx.message.text.match(/\/zip_(\d+)/);
   if (!match) return;
 
-  const bookId = match[1];
+  const bookId = parseInt(match[1], 10);
   const db = await openDb();
   try {
     const book = await db.get(
@@ -236,31 +258,360 @@ async function zipCallback(ctx) {
       [bookId]
     );
 
-    if (book && book.zip_file_path) {
-      try {
-        await ctx.replyWithDocument(book.zip_file_path);
-        logger.logInfo("Zip file sent to user", {
-          userId: ctx.from.id,
-          bookId,
-        });
-      } catch (error) {
-        logger.logError("Failed to send zip file", error, { bookId });
-        await ctx.reply("❌ حدثت مشکله في ارسال الملف المضغوط.");
-      }
-    } else {
-      await ctx.reply("عذرًا، لم نتمكن من العثور على الملف المضغوط 📁❌.");
+    if (!book || !book.zip_file_path) {
+      await ctx.reply(ctx.t("books.zipNotFound"));
+      return;
     }
+
+    if (!(await economy.isZipUnlocked(ctx.from.id, bookId))) {
+      const cost = config.economy.zipUnlockCost;
+      const wallet = await economy.getWallet(ctx.from.id);
+      const coins = wallet ? wallet.coins : 0;
+      await ctx.reply(ctx.t("books.zipLocked", { cost, coins }), {
+        parse_mode: "HTML",
+        reply_markup: Markup.inlineKeyboard(
+          coins >= cost
+            ? [
+                [
+                  Markup.button.callback(
+                    ctx.t("books.zipUnlockButton", { cost }),
+                    `zip_unlock_${bookId}`
+                  ),
+                ],
+              ]
+            : []
+        ).reply_markup,
+      });
+      return;
+    }
+
+    await sendZipFile(ctx, bookId, book.zip_file_path);
   } catch (error) {
     logger.logError("Error in zipCallback", error, { bookId });
-    await ctx.reply("An error occurred while fetching the zip file.");
+    await ctx.reply(ctx.t("books.zipError"));
   } finally {
     await closeDb(db);
   }
 }
 
+/**
+ * Send a book's ZIP bundle
+ * @param {object} ctx - Telegraf context
+ * @param {number} bookId - Book ID
+ * @param {string} zipFilePath - Telegram file ID of the ZIP bundle
+ * @returns {Promise<boolean>} Success status
+ */
+async function sendZipFile(ctx, bookId, zipFilePath) {
+  try {
+    await ctx.replyWithDocument(zipFilePath);
+    logger.logInfo("Zip file sent to user", {
+      userId: ctx.from.id,
+      bookId,
+    });
+    return true;
+  } catch (error) {
+    logger.logError("Failed to send zip file", error, { bookId });
+    await ctx.reply(ctx.t("books.zipSendFailed"));
+    return false;
+  }
+}
+
+/**
+ * Spend coins to unlock a ZIP bundle, then send it
+ * @param {object} ctx - Telegraf context
+ * @param {number} bookId - Book ID
+ */
+async function handleZipUnlock(ctx, bookId) {
+  const db = await openDb();
+  let book;
+  try {
+    book = await db.get("SELECT zip_file_path FROM usol_books WHERE id = ?", [
+      bookId,
+    ]);
+  } finally {
+    await closeDb(db);
+  }
+
+  if (!book || !book.zip_file_path) {
+    await ctx.answerCbQuery(ctx.t("books.zipMissing"));
+    return;
+  }
+
+  const userId = ctx.from.id;
+  if (
+    !(await economy.isZipUnlocked(userId, bookId)) &&
+    !(await economy.unlockZip(userId, bookId))
+  ) {
+    await ctx.answerCbQuery(ctx.t("books.zipNotEnoughCoins"));
+    return;
+  }
+
+  await ctx.answerCbQuery(ctx.t("books.zipUnlocked"));
+  await ctx.editMessageText(ctx.t("books.zipUnlockedMessage"));
+  await sendZipFile(ctx, bookId, book.zip_file_path);
+}
+
+/**
+ * Show the alphabetical index of authors
+ * Each author is keyed by the smallest book ID carrying their name so that
+ * callback data stays short regardless of the name length.
+ * @param {object} ctx - Telegraf context
+ * @param {number} page - Page number (1-based)
+ */
+async function showAuthorsIndex(ctx, page = 1) {
+  const db = await openDb();
+  try {
+    const itemsPerPage = config.pagination.itemsPerPage;
+    const { total } = await db.get(
+      "SELECT COUNT(DISTINCT author_name) AS total FROM usol_books"
+    );
+
+    if (total === 0) {
+      await ctx.reply(ctx.t("common.noData"));
+      return;
+    }
+
+    const { page: currentPage, totalPages } = getPageBounds(
+      total,
+      page,
+      itemsPerPage
+    );
+    const authors = await db.all(
+      `SELECT author_name, MIN(id) AS author_key
+       FROM usol_books
+       GROUP BY author_name
+       ORDER BY author_name
+       LIMIT ? OFFSET ?`,
+      [itemsPerPage, (currentPage - 1) * itemsPerPage]
+    );
+
+    const keyboard = [
+      [Markup.button.callback(ctx.t("authors.searchButton"), "author_search")],
+    ];
+    for (let i = 0; i < authors.length; i += 2) {
+      keyboard.push(
+        authors
+          .slice(i, i + 2)
+          .map((author) =>
+            Markup.button.callback(
+              `✍️ ${truncateText(author.author_name)}`,
+              `author_${author.author_key}`
+            )
+          )
+      );
+    }
+
+    keyboard.push(...buildPager("authors_page_", currentPage, totalPages));
+
+    const text = ctx.t("authors.index", {
+      total,
+      first: sanitizeHtml(authors[0].author_name),
+      last: sanitizeHtml(authors[authors.length - 1].author_name),
+    });
+
+    await sendPage(ctx, text, keyboard);
+
+    logger.logInfo("Authors index shown", {
+      userId: ctx.from.id,
+      page: currentPage,
+    });
+  } catch (error) {
+    logger.logError("Error in showAuthorsIndex", error);
+    await ctx.reply(ctx.t("authors.indexError"));
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Enter author search mode
+ * @param {object} ctx - Telegraf context
+ */
+async function startAuthorsSearch(ctx) {
+  ctx.session.searching_author = true;
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    `${ctx.t("authors.searchPrompt")}\n\n${ctx.t("common.cancelHint")}`,
+    { parse_mode: "HTML" }
+  );
+}
+
+/**
+ * Handle fuzzy author lookup while in author search mode
+ * @param {object} ctx - Telegraf context
+ */
+async function handleAuthorsSearch(ctx) {
+  const userInput = ctx.message.text.trim();
+  if (!(await validateUserInput(ctx, userInput))) {
+    return;
+  }
+  ctx.session.searching_author = false;
+
+  const db = await openDb();
+  try {
+    const authors = await db.all(
+      `SELECT author_name, MIN(id) AS author_key, COUNT(*) AS books_count
+       FROM usol_books
+       GROUP BY author_name`
+    );
+
+    const normalizedQuery = normalizePersianArabicChars(userInput);
+    const matches = authors
+      .map((author) => ({
+        ...author,
+        score: calculateSimilarity(
+          normalizePersianArabicChars(author.author_name),
+          normalizedQuery
+        ),
+      }))
+      .filter((author) => author.score >= 0.5)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, config.search.maxSimilarResults);
+
+    if (matches.length === 0) {
+      await ctx.reply(
+        ctx.t("authors.noMatch", { query: sanitizeHtml(userInput) }),
+        { parse_mode: "HTML" }
+      );
+      return;
+    }
+
+    // A single exact match goes straight to the author's page
+    if (
+      matches[0].score === 1 &&
+      (matches.length === 1 || matches[1].score < 1)
+    ) {
+      await showAuthorBooks(ctx, matches[0].author_key);
+      return;
+    }
+
+    const keyboard = matches.map((author) => [
+      Markup.button.callback(
+        `✍️ ${truncateText(author.author_name)} (${author.books_count})`,
+        `author_${author.author_key}`
+      ),
+    ]);
+
+    await ctx.reply(ctx.t("authors.choose"), {
+      reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
+    });
+
+    logger.logInfo("Authors search completed", {
+      userId: ctx.from.id,
+      query: normalizedQuery,
+      resultsCount: matches.length,
+    });
+  } catch (error) {
+    logger.logError("Error in handleAuthorsSearch", error);
+    await ctx.reply(ctx.t("authors.searchError"));
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Show one page of an author's books, most requested first
+ * Opening an author sends a new message; the pager buttons edit it.
+ * @param {object} ctx - Telegraf context
+ * @param {number} authorKey - ID of any book by the author
+ * @param {number} page - Page number (1-based), null when opening the author
+ */
+async function showAuthorBooks(ctx, authorKey, page = null) {
+  const db = await openDb();
+  let author;
+  let total;
+  let bounds;
+  let books = [];
+  try {
+    author = await db.get("SELECT author_name FROM usol_books WHERE id = ?", [
+      authorKey,
+    ]);
+    if (author) {
+      ({ total } = await db.get(
+        "SELECT COUNT(*) AS total FROM usol_books WHERE author_name = ?",
+        [author.author_name]
+      ));
+      bounds = getPageBounds(total, page || 1);
+      books = await db.all(
+        `SELECT id, book_name, category
+         FROM usol_books
+         WHERE author_name = ?
+         ORDER BY request_count DESC, id
+         LIMIT ? OFFSET ?`,
+        [author.author_name, bounds.limit, bounds.offset]
+      );
+    }
+  } finally {
+    await closeDb(db);
+  }
+
+  if (!author) {
+    if (ctx.callbackQuery) await ctx.answerCbQuery();
+    await ctx.reply(ctx.t("authors.notFound"));
+    return;
+  }
+
+  let message = ctx.t("authors.booksTitle", {
+    name: sanitizeHtml(author.author_name),
+    count: total,
+  });
+  if (bounds.totalPages > 1) {
+    message += ctx.t("books.listPage", bounds) + "\n";
+  }
+  books.forEach((book, index) => {
+    message += `${bounds.offset + index + 1}. 📖 <b>${sanitizeHtml(
+      book.book_name
+    )}</b>\n`;
+    message += `   📂 ${sanitizeHtml(
+      book.category || ctx.t("common.uncategorized")
+    )}\n`;
+    message += `   🔗 /book_${book.id}\n\n`;
+  });
+
+  const subscribed = await isSubscribed(
+    ctx.from.id,
+    "author",
+    author.author_name
+  );
+  const keyboard = [
+    ...buildPager(`author_books_${authorKey}_`, bounds.page, bounds.totalPages),
+    [
+      getSubscriptionButton("author", author.author_name, subscribed),
+      Markup.button.url(
+        ctx.t("authors.share"),
+        getShareUrl(
+          getAuthorLink(ctx.botInfo.username, author.author_name),
+          author.author_name
+        )
+      ),
+    ],
+  ];
+
+  if (page !== null) {
+    await sendPage(ctx, message, keyboard);
+  } else {
+    if (ctx.callbackQuery) await ctx.answerCbQuery();
+    await ctx.reply(message, {
+      parse_mode: "HTML",
+      reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
+    });
+  }
+
+  logger.logInfo("Author books shown", {
+    userId: ctx.from.id,
+    author: author.author_name,
+    page: bounds.page,
+  });
+}
+
 module.exports = {
   showCategories,
   handleListBooks,
   pdfCallback,
   zipCallback,
+  handleZipUnlock,
+  showAuthorsIndex,
+  startAuthorsSearch,
+  handleAuthorsSearch,
+  showAuthorBooks,
 };
@@ -0,0 +1,105 @@
+const { Markup } = require("telegraf");
+const config = require("./config");
+
+// Callback data of the current-page button (answered without changes)
+const NOOP_CALLBACK = "pager_noop";
+
+/**
+ * Compute the LIMIT/OFFSET window of a page
+ * @param {number} total - Total number of items (from a COUNT query)
+ * @param {number} page - Requested page number (1-based)
+ * @param {number} perPage - Items per page
+ * @returns {object} Page bounds (page, totalPages, limit, offset)
+ */
+function getPageBounds(
+  total,
+  page = 1,
+  perPage = config.pagination.itemsPerPage
+) {
+  const totalPages = Math.max(Math.ceil(total / perPage), 1);
+  const currentPage = Math.min(
+    Math.max(parseInt(page, 10) || 1, 1),
+    totalPages
+  );
+  return {
+    page: currentPage,
+    totalPages,
+    limit: perPage,
+    offset: (currentPage - 1) * perPage,
+  };
+}
+
+/**
+ * Build a windowed pager for inline keyboards
+ * The first row shows the pages around the current one, with "…" buttons
+ * that jump halfway into the hidden ranges; the second row holds
+ * first/previous/next/last. Callback data is `${prefix}${pageNumber}`.
+ * @param {string} prefix - Callback data prefix
+ * @param {number} page - Current page (1-based)
+ * @param {number} totalPages - Total number of pages
+ * @param {object} options - Pager options
+ * @param {number} options.windowSize - Page numbers shown around the current page
+ * @returns {Array<Array<object>>} Keyboard rows (empty for a single page)
+ */
+function buildPager(prefix, page, totalPages, { windowSize = 5 } = {}) {
+  if (totalPages <= 1) return [];
+
+  const half = Math.floor(windowSize / 2);
+  const start = Math.max(Math.min(page - half, totalPages - windowSize + 1), 1);
+  const end = Math.min(start + windowSize - 1, totalPages);
+
+  const numbersRow = [];
+  if (start > 1) {
+    const target = Math.ceil(start / 2);
+    numbersRow.push(Markup.button.callback(`…${target}`, `${prefix}${target}`));
+  }
+  for (let i = start; i <= end; i++) {
+    numbersRow.push(
+      i === page
+        ? Markup.button.callback(`✔️ ${i}`, NOOP_CALLBACK)
+        : Markup.button.callback(`${i}`, `${prefix}${i}`)
+    );
+  }
+  if (end < totalPages) {
+    const target = Math.floor((end + 1 + totalPages) / 2);
+    numbersRow.push(Markup.button.callback(`${target}…`, `${prefix}${target}`));
+  }
+
+  const navRow = [];
+  if (page > 1) {
+    navRow.push(Markup.button.callback("⏮", `${prefix}1`));
+    navRow.push(Markup.button.callback("◀️", `${prefix}${page - 1}`));
+  }
+  if (page < totalPages) {
+    navRow.push(Markup.button.callback("▶️", `${prefix}${page + 1}`));
+    navRow.push(Markup.button.callback("⏭", `${prefix}${totalPages}`));
+  }
+
+  return [numbersRow, navRow];
+}
+
+/**
+ * Send a page, editing the message when triggered by a pager button
+ * @param {object} ctx - Telegraf context
+ * @param {string} text - HTML message
+ * @param {Array<Array<object>>} keyboard - Inline keyboard rows
+ */
+async function sendPage(ctx, text, keyboard) {
+  const extra = {
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
+    parse_mode: "HTML",
+  };
+  if (ctx.callbackQuery) {
+    await ctx.editMessageText(text, extra);
+    await ctx.answerCbQuery();
+  } else {
+    await ctx.reply(text, extra);
+  }
+}
+
+module.exports = {
+  NOOP_CALLBACK,
+  getPageBounds,
+  buildPager,
+  sendPage,
+};
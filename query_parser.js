@@ -0,0 +1,154 @@
+const { normalizePersianArabicChars } = require("./text_normalizer");
+const { convertToEnglishDigits } = require("./advanced_search");
+
+// Field names accepted before ":" (normalized), mapped to search options
+const FIELD_ALIASES = {
+  مولف: "author",
+  كاتب: "author",
+  نويسنده: "author",
+  قسم: "category",
+  دسته: "category",
+  اجزاء: "parts",
+  اجزا: "parts",
+  جزء: "parts",
+};
+
+// field:"quoted value" | field:value | "phrase" | word
+const TOKEN_PATTERN = /([^\s:"]+):(?:"([^"]*)"|([^\s"]*))|"([^"]*)"|(\S+)/g;
+
+// أجزاء:>5, أجزاء:<=3, أجزاء:=2, أجزاء:4, أجزاء:3-10
+const PARTS_PATTERN = /^(?:(>=|<=|>|<|=)?(\d+)|(\d+)-(\d+))$/;
+
+/**
+ * Parse a parts filter value into a min/max range
+ * @param {string} value - Filter value (e.g. ">5", "3-10")
+ * @returns {object|null} Range (minParts, maxParts) or null when invalid
+ */
+function parsePartsFilter(value) {
+  const match = convertToEnglishDigits(value).match(PARTS_PATTERN);
+  if (!match) return null;
+
+  if (match[3] !== undefined) {
+    const min = parseInt(match[3], 10);
+    const max = parseInt(match[4], 10);
+    return min <= max ? { minParts: min, maxParts: max } : null;
+  }
+
+  const number = parseInt(match[2], 10);
+  switch (match[1]) {
+    case ">":
+      return { minParts: number + 1, maxParts: null };
+    case ">=":
+      return { minParts: number, maxParts: null };
+    case "<":
+      return number > 1 ? { minParts: null, maxParts: number - 1 } : null;
+    case "<=":
+      return { minParts: null, maxParts: number };
+    default:
+      return { minParts: number, maxParts: number };
+  }
+}
+
+/**
+ * Parse a search message with optional field filters and quoted phrases
+ * Only known field names (FIELD_ALIASES) before ":" are filters; any other
+ * "word:" stays part of the searched text.
+ * @param {string} input - Raw search message
+ * @returns {object} { value, error } - value holds text, phrases, author,
+ *   category, minParts, maxParts and hasSyntax; error is null or a message
+ *   reference { key, params } into the "queryErrors" catalog section
+ */
+function parseSearchQuery(input) {
+  const value = {
+    text: "",
+    phrases: [],
+    author: null,
+    category: null,
+    minParts: null,
+    maxParts: null,
+    hasSyntax: false,
+  };
+
+  if ((input.match(/"/g) || []).length % 2 !== 0) {
+    return { value, error: { key: "unclosedQuote" } };
+  }
+
+  const words = [];
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    const [, field, quotedValue, plainValue, quotedPhrase, word] = match;
+    let phrase = quotedPhrase;
+
+    if (word !== undefined) {
+      words.push(word);
+      continue;
+    }
+
+    const key =
+      field !== undefined &&
+      FIELD_ALIASES[normalizePersianArabicChars(field).toLowerCase()];
+    if (field !== undefined && !key) {
+      // Not a known field ("تفسير: الميزان", "10:30", a link): plain text
+      if (quotedValue === undefined) {
+        words.push(match[0]);
+        continue;
+      }
+      words.push(`${field}:`);
+      phrase = quotedValue;
+    }
+
+    value.hasSyntax = true;
+
+    if (phrase !== undefined) {
+      const trimmed = phrase.trim();
+      if (!trimmed) {
+        return { value, error: { key: "emptyPhrase" } };
+      }
+      value.phrases.push(trimmed);
+      continue;
+    }
+
+    const fieldValue = (
+      quotedValue !== undefined ? quotedValue : plainValue
+    ).trim();
+    if (!fieldValue) {
+      return { value, error: { key: "missingValue", params: { field } } };
+    }
+    if (key === "parts") {
+      if (value.minParts !== null || value.maxParts !== null) {
+        return { value, error: { key: "duplicateParts" } };
+      }
+      const range = parsePartsFilter(fieldValue);
+      if (!range) {
+        return {
+          value,
+          error: { key: "invalidParts", params: { value: fieldValue } },
+        };
+      }
+      Object.assign(value, range);
+      continue;
+    }
+    if (value[key] !== null) {
+      return { value, error: { key: "duplicateField", params: { field } } };
+    }
+    value[key] = fieldValue;
+  }
+
+  value.text = words.join(" ");
+  if (
+    !value.text &&
+    value.phrases.length === 0 &&
+    !value.author &&
+    !value.category &&
+    value.minParts === null &&
+    value.maxParts === null
+  ) {
+    return { value, error: { key: "empty" } };
+  }
+
+  return { value, error: null };
+}
+
+module.exports = {
+  parsePartsFilter,
+  parseSearchQuery,
+};
@@ -0,0 +1,443 @@
+const { Markup } = require("telegraf");
+const { openDb, closeDb } = require("./db_manager");
+const { logAdminAction } = require("./admin");
+const { addTransaction } = require("./economy");
+const { sanitizeHtml } = require("./validators");
+const logger = require("./logger");
+const config = require("./config");
+
+/**
+ * Split the stored wrong answers ("|"-separated, like file_path)
+ * @param {string} wrongAnswers - Stored wrong answers
+ * @returns {Array<string>} Wrong answers
+ */
+function parseWrongAnswers(wrongAnswers) {
+  return (wrongAnswers || "")
+    .split(/\||\n/)
+    .map((answer) => answer.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Build the shuffled options of an asked question
+ * The order is derived from the asked_questions row ID, so the answer
+ * callback can rebuild it without keeping the options in the session.
+ * @param {object} question - Question row
+ * @param {number} seed - asked_questions row ID
+ * @returns {{options: Array<string>, correctIndex: number}} Options
+ */
+function buildOptions(question, seed) {
+  const options = [
+    question.correct_answer,
+    ...parseWrongAnswers(question.wrong_answers),
+  ];
+  const order = options.map((_, index) => index);
+
+  // Deterministic Fisher-Yates shuffle with a small LCG
+  let state = seed;
+  for (let i = order.length - 1; i > 0; i--) {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    const j = state % (i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  return {
+    options: order.map((index) => options[index]),
+    correctIndex: order.indexOf(0),
+  };
+}
+
+/**
+ * Get a random approved question the user has not been asked yet
+ * @param {number} userId - User ID
+ * @returns {Promise<object|undefined>} Question row
+ */
+async function getNextQuestion(userId) {
+  const db = await openDb();
+  try {
+    return await db.get(
+      `SELECT q.*
+       FROM questions q
+       WHERE q.status = 'approved'
+         AND NOT EXISTS (
+           SELECT 1 FROM asked_questions a
+           WHERE a.question_id = q.question_id AND a.user_id = ?
+         )
+       ORDER BY RANDOM()
+       LIMIT 1`,
+      [userId]
+    );
+  } catch (error) {
+    logger.logError("Failed to get next question", error, { userId });
+    return undefined;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Record that a question was served to a user
+ * @param {number} userId - User ID
+ * @param {number} questionId - Question ID
+ * @returns {Promise<number>} asked_questions row ID
+ */
+async function recordAskedQuestion(userId, questionId) {
+  const db = await openDb();
+  try {
+    const result = await db.run(
+      `INSERT INTO asked_questions (question_id, user_id, asked_at)
+       VALUES (?, ?, CURRENT_TIMESTAMP)`,
+      [questionId, userId]
+    );
+    return result.lastID;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Serve the next quiz question
+ * @param {object} ctx - Telegraf context
+ */
+async function showQuizQuestion(ctx) {
+  const userId = ctx.from.id;
+  if (ctx.callbackQuery) await ctx.answerCbQuery();
+
+  const question = await getNextQuestion(userId);
+  if (!question) {
+    await ctx.reply(
+      "🎉 لقد أجبت على جميع الأسئلة المتاحة! يمكنك اقتراح سؤال جديد عبر /quiz_submit"
+    );
+    return;
+  }
+
+  const askedId = await recordAskedQuestion(userId, question.question_id);
+  const { options } = buildOptions(question, askedId);
+
+  const keyboard = options.map((option, index) => [
+    Markup.button.callback(option, `quiz_answer_${askedId}_${index}`),
+  ]);
+
+  let message = `❓ <b>${sanitizeHtml(question.question)}</b>`;
+  if (question.author_name) {
+    message += `\n\n<i>✍️ ${sanitizeHtml(question.author_name)}</i>`;
+  }
+
+  await ctx.reply(message, {
+    parse_mode: "HTML",
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
+  });
+  logger.logInfo("Quiz question served", {
+    userId,
+    questionId: question.question_id,
+  });
+}
+
+/**
+ * Handle an answer button
+ * @param {object} ctx - Telegraf context
+ * @param {number} askedId - asked_questions row ID
+ * @param {number} optionIndex - Chosen option index
+ */
+async function handleQuizAnswer(ctx, askedId, optionIndex) {
+  const userId = ctx.from.id;
+  const db = await openDb();
+  try {
+    const asked = await db.get(
+      `SELECT a.id, a.is_correct, q.question, q.correct_answer, q.wrong_answers
+       FROM asked_questions a
+       JOIN questions q ON a.question_id = q.question_id
+       WHERE a.id = ? AND a.user_id = ?`,
+      [askedId, userId]
+    );
+
+    if (!asked) {
+      await ctx.answerCbQuery("⚠️ هذا السؤال غير متاح");
+      return;
+    }
+    if (asked.is_correct !== null) {
+      await ctx.answerCbQuery("⚠️ لقد أجبت على هذا السؤال مسبقاً");
+      return;
+    }
+
+    const { options, correctIndex } = buildOptions(asked, askedId);
+    const isCorrect = optionIndex === correctIndex;
+    const points = config.quiz.pointsPerCorrectAnswer;
+
+    // Only the first of concurrent taps records the answer and is rewarded
+    const { changes } = await db.run(
+      `UPDATE asked_questions
+       SET is_correct = ?, answered_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND is_correct IS NULL`,
+      [isCorrect ? 1 : 0, askedId]
+    );
+    if (changes !== 1) {
+      await ctx.answerCbQuery("⚠️ لقد أجبت على هذا السؤال مسبقاً");
+      return;
+    }
+    if (isCorrect) {
+      await addTransaction(userId, {
+        points,
+        coins: config.economy.coins.quizCorrect,
+        reason: "quiz",
+        refId: askedId,
+      });
+    }
+
+    await ctx.answerCbQuery(isCorrect ? `✅ +${points}` : "❌");
+    await ctx.editMessageText(
+      `❓ <b>${sanitizeHtml(asked.question)}</b>\n\n${
+        isCorrect
+          ? `✅ إجابة صحيحة! حصلت على ${points} 🏅 و ${config.economy.coins.quizCorrect} 🪙`
+          : `❌ إجابة خاطئة. الإجابة الصحيحة: <b>${sanitizeHtml(
+              options[correctIndex]
+            )}</b>`
+      }`,
+      {
+        parse_mode: "HTML",
+        reply_markup: Markup.inlineKeyboard([
+          [Markup.button.callback("➡️ السؤال التالي", "quiz_next")],
+        ]).reply_markup,
+      }
+    );
+    logger.logInfo("Quiz answered", { userId, askedId, isCorrect });
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Show the points leaderboard
+ * @param {object} ctx - Telegraf context
+ */
+async function showLeaderboard(ctx) {
+  const db = await openDb();
+  try {
+    const leaders = await db.all(
+      `SELECT user_id, name, points
+       FROM users
+       WHERE points > 0
+       ORDER BY points DESC
+       LIMIT ?`,
+      [config.quiz.leaderboardSize]
+    );
+
+    if (leaders.length === 0) {
+      await ctx.reply("📭 لا توجد نقاط مسجلة بعد. ابدأ المسابقة عبر /quiz");
+      return;
+    }
+
+    const medals = ["🥇", "🥈", "🥉"];
+    let message = "<b>🏆 لوحة المتصدرين:</b>\n\n";
+    leaders.forEach((leader, index) => {
+      const rank = medals[index] || `${index + 1}.`;
+      const you = leader.user_id === ctx.from.id ? " 👈" : "";
+      message += `${rank} ${leader.name} — ${leader.points} نقطة${you}\n`;
+    });
+
+    await ctx.reply(message, { parse_mode: "HTML" });
+  } catch (error) {
+    logger.logError("Failed to show leaderboard", error);
+    await ctx.reply("❌ حدث خطأ أثناء عرض لوحة المتصدرين.");
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Start the question submission flow
+ * @param {object} ctx - Telegraf context
+ */
+async function startQuestionSubmission(ctx) {
+  ctx.session.quiz_submission = { step: "question" };
+  await ctx.reply(
+    "📝 <b>اقتراح سؤال جديد</b>\n\n✏️ أرسل نص السؤال:\n\n<i>للإلغاء أرسل /cancel</i>",
+    { parse_mode: "HTML" }
+  );
+}
+
+/**
+ * Handle a text message during the submission flow
+ * @param {object} ctx - Telegraf context
+ */
+async function handleSubmissionStep(ctx) {
+  const submission = ctx.session.quiz_submission;
+  const text = ctx.message.text.trim();
+
+  if (text.length === 0 || text.length > 300) {
+    await ctx.reply("❌ النص غير صالح (الحد الأقصى 300 حرف).");
+    return;
+  }
+
+  switch (submission.step) {
+    case "question":
+      submission.question = text;
+      submission.step = "correct";
+      await ctx.reply("✅ أرسل الإجابة الصحيحة:");
+      break;
+
+    case "correct":
+      if (text.length > 100) {
+        await ctx.reply("❌ الإجابة طويلة جداً (الحد الأقصى 100 حرف).");
+        return;
+      }
+      submission.correct_answer = text;
+      submission.step = "wrong";
+      await ctx.reply(
+        `❌ أرسل الإجابات الخاطئة، كل إجابة في سطر (من 1 إلى ${config.quiz.maxWrongAnswers}):`
+      );
+      break;
+
+    case "wrong": {
+      const wrongAnswers = parseWrongAnswers(text);
+      if (
+        wrongAnswers.length === 0 ||
+        wrongAnswers.length > config.quiz.maxWrongAnswers ||
+        wrongAnswers.some((answer) => answer.length > 100) ||
+        wrongAnswers.includes(submission.correct_answer)
+      ) {
+        await ctx.reply(
+          `❌ يرجى إرسال من 1 إلى ${config.quiz.maxWrongAnswers} إجابات خاطئة مختلفة عن الإجابة الصحيحة، كل إجابة في سطر.`
+        );
+        return;
+      }
+      delete ctx.session.quiz_submission;
+      await saveSubmittedQuestion(ctx, submission, wrongAnswers);
+      break;
+    }
+
+    default:
+      delete ctx.session.quiz_submission;
+  }
+}
+
+/**
+ * Save a submitted question as pending
+ * @param {object} ctx - Telegraf context
+ * @param {object} submission - Submission draft
+ * @param {Array<string>} wrongAnswers - Wrong answers
+ */
+async function saveSubmittedQuestion(ctx, submission, wrongAnswers) {
+  const db = await openDb();
+  try {
+    await db.run(
+      `INSERT INTO questions
+         (question, correct_answer, wrong_answers, author_name, status, submitted_by)
+       VALUES (?, ?, ?, ?, 'pending', ?)`,
+      [
+        submission.question,
+        submission.correct_answer,
+        wrongAnswers.join("|"),
+        ctx.from.first_name || ctx.from.username,
+        ctx.from.id,
+      ]
+    );
+    await ctx.reply("✅ شكراً! تم إرسال سؤالك للمراجعة من قبل المشرفين.");
+    logger.logInfo("Quiz question submitted", { userId: ctx.from.id });
+  } catch (error) {
+    logger.logError("Failed to save submitted question", error, {
+      userId: ctx.from.id,
+    });
+    await ctx.reply("❌ حدث خطأ أثناء حفظ السؤال.");
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Show the oldest pending question to an admin
+ * @param {object} ctx - Telegraf context
+ */
+async function showPendingQuestion(ctx) {
+  const db = await openDb();
+  try {
+    const { total } = await db.get(
+      "SELECT COUNT(*) AS total FROM questions WHERE status = 'pending'"
+    );
+    const question = await db.get(
+      `SELECT * FROM questions
+       WHERE status = 'pending'
+       ORDER BY question_id
+       LIMIT 1`
+    );
+
+    if (ctx.callbackQuery) await ctx.answerCbQuery();
+
+    if (!question) {
+      await ctx.reply("📭 لا توجد أسئلة بانتظار المراجعة.");
+      return;
+    }
+
+    let message = `<b>🗂️ أسئلة بانتظار المراجعة:</b> ${total}\n\n`;
+    message += `❓ <b>${sanitizeHtml(question.question)}</b>\n\n`;
+    message += `✅ ${sanitizeHtml(question.correct_answer)}\n`;
+    parseWrongAnswers(question.wrong_answers).forEach((answer) => {
+      message += `❌ ${sanitizeHtml(answer)}\n`;
+    });
+    message += `\n👤 ${sanitizeHtml(question.author_name || "")} (${
+      question.submitted_by || "-"
+    })`;
+
+    await ctx.reply(message, {
+      parse_mode: "HTML",
+      reply_markup: Markup.inlineKeyboard([
+        [
+          Markup.button.callback(
+            "✅ قبول",
+            `quiz_approve_${question.question_id}`
+          ),
+          Markup.button.callback(
+            "❌ رفض",
+            `quiz_reject_${question.question_id}`
+          ),
+        ],
+      ]).reply_markup,
+    });
+  } catch (error) {
+    logger.logError("Failed to show pending question", error);
+    await ctx.reply("❌ حدث خطأ أثناء عرض الأسئلة.");
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Approve or reject a pending question
+ * @param {object} ctx - Telegraf context
+ * @param {number} questionId - Question ID
+ * @param {string} status - New status ("approved" or "rejected")
+ */
+async function handleQuestionReview(ctx, questionId, status) {
+  const db = await openDb();
+  let result;
+  try {
+    result = await db.run(
+      "UPDATE questions SET status = ? WHERE question_id = ? AND status = 'pending'",
+      [status, questionId]
+    );
+  } finally {
+    await closeDb(db);
+  }
+
+  if (result.changes === 0) {
+    await ctx.answerCbQuery("⚠️ تمت مراجعة هذا السؤال مسبقاً");
+    return;
+  }
+
+  await logAdminAction(ctx.from.id, status, "questions", questionId);
+  await ctx.editMessageText(
+    status === "approved" ? "✅ تم قبول السؤال." : "❌ تم رفض السؤال."
+  );
+  await showPendingQuestion(ctx);
+}
+
+module.exports = {
+  buildOptions,
+  showQuizQuestion,
+  handleQuizAnswer,
+  showLeaderboard,
+  startQuestionSubmission,
+  handleSubmissionStep,
+  showPendingQuestion,
+  handleQuestionReview,
+};
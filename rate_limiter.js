@@ -0,0 +1,232 @@
+const { isAdmin } = require("./admin");
+const logger = require("./logger");
+const config = require("./config");
+
+// Request timestamps per "<userId>:<budget>", oldest first
+const windows = new Map();
+
+// Rejected update timestamps and last warning time per user
+const rejections = new Map();
+const lastWarnings = new Map();
+
+// Muted users: userId -> time the mute ends
+const mutedUsers = new Map();
+
+// Forget idle users every this many checks
+const SWEEP_EVERY = 1000;
+let checksSinceSweep = 0;
+
+const SLOW_DOWN_MESSAGE =
+  "⏳ طلبات كثيرة في وقت قصير، يرجى الانتظار قليلاً ثم المحاولة مرة أخرى.";
+
+for (const [name, limit] of Object.entries(config.rateLimit.budgets)) {
+  if (limit > config.rateLimit.maxRequests) {
+    logger.logWarning("Rate limit budget can never be reached", {
+      budget: name,
+      limit,
+      maxRequests: config.rateLimit.maxRequests,
+    });
+  }
+}
+
+/**
+ * Work out which budget an update spends
+ * @param {object} ctx - Telegraf context
+ * @returns {string|null} "search", "download", "callback" or null (overall only)
+ */
+function getBudgetName(ctx) {
+  if (ctx.inlineQuery) {
+    return "search";
+  }
+  if (ctx.callbackQuery) {
+    const data = ctx.callbackQuery.data || "";
+    return /^(result_download|zip_unlock)_/.test(data)
+      ? "download"
+      : "callback";
+  }
+  const text = ctx.message && ctx.message.text;
+  if (!text) {
+    return null;
+  }
+  if (/^\/(book|zip)_/.test(text)) {
+    return "download";
+  }
+  return text.startsWith("/") ? null : "search";
+}
+
+/**
+ * Drop timestamps that left the window
+ * @param {Array<number>} timestamps - Timestamps, oldest first
+ * @param {number} now - Current time
+ * @returns {Array<number>} Timestamps still inside the window
+ */
+function pruneWindow(timestamps, now) {
+  const start = now - config.rateLimit.windowMs;
+  let first = 0;
+  while (first < timestamps.length && timestamps[first] <= start) first++;
+  return first > 0 ? timestamps.slice(first) : timestamps;
+}
+
+/**
+ * Record a request against a sliding window if it fits
+ * @param {string} key - Window key
+ * @param {number} limit - Requests allowed per window
+ * @param {number} now - Current time
+ * @returns {boolean} Allowed
+ */
+function takeFromWindow(key, limit, now) {
+  const timestamps = pruneWindow(windows.get(key) || [], now);
+  if (timestamps.length >= limit) {
+    windows.set(key, timestamps);
+    return false;
+  }
+  timestamps.push(now);
+  windows.set(key, timestamps);
+  return true;
+}
+
+/**
+ * Remove windows and rejection counters of users idle for a full window
+ * @param {number} now - Current time
+ */
+function sweep(now) {
+  for (const store of [windows, rejections]) {
+    for (const [key, timestamps] of store) {
+      if (pruneWindow(timestamps, now).length === 0) store.delete(key);
+    }
+  }
+  for (const [userId, until] of mutedUsers) {
+    if (until <= now) mutedUsers.delete(userId);
+  }
+  for (const [userId, warnedAt] of lastWarnings) {
+    if (now - warnedAt > config.rateLimit.warningCooldownMs) {
+      lastWarnings.delete(userId);
+    }
+  }
+}
+
+/**
+ * Tell the user they are being limited, at most once per cooldown
+ * @param {object} ctx - Telegraf context
+ * @param {string} text - Message
+ * @param {boolean} force - Skip the cooldown
+ */
+async function warnUser(ctx, text, force = false) {
+  const userId = ctx.from.id;
+  const now = Date.now();
+  const warnedAt = lastWarnings.get(userId) || 0;
+  if (!force && now - warnedAt < config.rateLimit.warningCooldownMs) {
+    if (ctx.callbackQuery) await ctx.answerCbQuery();
+    return;
+  }
+  lastWarnings.set(userId, now);
+
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(text, { show_alert: true });
+  } else if (ctx.chat) {
+    await ctx.reply(text);
+  }
+}
+
+/**
+ * Middleware enforcing config.rateLimit per user
+ * Over-limit updates are dropped with a throttled warning; users who keep
+ * going are muted for muteDurationMs. Admins and whitelisted IDs are exempt.
+ * @param {object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function rateLimit(ctx, next) {
+  const limits = config.rateLimit;
+  if (!limits.enabled || !ctx.from || limits.whitelist.includes(ctx.from.id)) {
+    return next();
+  }
+
+  const userId = ctx.from.id;
+  const now = Date.now();
+
+  if (++checksSinceSweep >= SWEEP_EVERY) {
+    checksSinceSweep = 0;
+    sweep(now);
+  }
+
+  const mutedUntil = mutedUsers.get(userId);
+  if (mutedUntil && mutedUntil > now) {
+    if (ctx.callbackQuery) await ctx.answerCbQuery("🔇");
+    return;
+  }
+  mutedUsers.delete(userId);
+
+  const budget = getBudgetName(ctx);
+  const allowed =
+    takeFromWindow(`${userId}:all`, limits.maxRequests, now) &&
+    (!budget ||
+      takeFromWindow(`${userId}:${budget}`, limits.budgets[budget], now));
+  if (allowed || (await isAdmin(userId))) {
+    // Lets takeDownload skip updates already charged as downloads
+    ctx.state.rateLimitBudget = budget;
+    return next();
+  }
+
+  const recent = pruneWindow(rejections.get(userId) || [], now);
+  recent.push(now);
+  rejections.set(userId, recent);
+
+  if (recent.length >= limits.muteAfterRejections) {
+    mutedUsers.set(userId, now + limits.muteDurationMs);
+    rejections.delete(userId);
+    logger.logWarning("User muted for flooding", {
+      userId,
+      budget,
+      minutes: limits.muteDurationMs / 60000,
+    });
+    await warnUser(
+      ctx,
+      `🔇 تم إيقافك مؤقتًا لمدة ${Math.ceil(
+        limits.muteDurationMs / 60000
+      )} دقيقة بسبب كثرة الطلبات.`,
+      true
+    );
+    return;
+  }
+
+  logger.logWarning("Rate limit exceeded", { userId, budget });
+  await warnUser(ctx, SLOW_DOWN_MESSAGE);
+}
+
+/**
+ * Spend the download budget before sending book files
+ * Searches and callbacks that end up sending files (a confident search hit,
+ * a similar book) are charged here. Updates rateLimit already counted as
+ * downloads (/book_, /zip_, result_download_, zip_unlock_) are not charged
+ * twice.
+ * @param {object} ctx - Telegraf context
+ * @returns {Promise<boolean>} Allowed (false after warning the user)
+ */
+async function takeDownload(ctx) {
+  const limits = config.rateLimit;
+  if (
+    !limits.enabled ||
+    !ctx.from ||
+    limits.whitelist.includes(ctx.from.id) ||
+    ctx.state.rateLimitBudget === "download"
+  ) {
+    return true;
+  }
+
+  const userId = ctx.from.id;
+  if (
+    takeFromWindow(`${userId}:download`, limits.budgets.download, Date.now()) ||
+    (await isAdmin(userId))
+  ) {
+    return true;
+  }
+
+  logger.logWarning("Rate limit exceeded", { userId, budget: "download" });
+  await warnUser(ctx, SLOW_DOWN_MESSAGE);
+  return false;
+}
+
+module.exports = {
+  rateLimit,
+  takeDownload,
+};
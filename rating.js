@@ -1,10 +1,15 @@
 const { Markup } = require("telegraf");
 const { openDb, closeDb } = require("./db_manager");
 const logger = require("./logger");
+const { rewardRating } = require("./economy");
+const { t } = require("./i18n");
+const config = require("./config");
 const {
   validateBookId,
   validateUserId,
   validateRating,
+  validateReviewText,
+  sanitizeHtml,
 } = require("./validators");
 
 /**
@@ -27,15 +32,20 @@ async function rateBook(userId, bookId, rating, review = null) {
   const db = await openDb();
   try {
     await db.run(
-      `INSERT INTO book_ratings (user_id, book_id, rating, review) 
-       VALUES (?, ?, ?, ?)
+      `INSERT INTO book_ratings (user_id, book_id, rating, review, review_status) 
+       VALUES (?, ?, ?, ?, ?)
        ON CONFLICT(user_id, book_id) DO UPDATE SET 
          rating = excluded.rating,
-         review = excluded.review,
+         review = COALESCE(excluded.review, book_ratings.review),
+         review_status = COALESCE(excluded.review_status, book_ratings.review_status),
          updated_at = CURRENT_TIMESTAMP`,
-      [userId, bookId, rating, review]
+      [userId, bookId, rating, review, review ? "pending" : null]
     );
     logger.logInfo("Book rated", { userId, bookId, rating });
+
+    // Rewards are granted once per book, so re-rating earns nothing.
+    // Reviews are rewarded when a moderator approves them.
+    await rewardRating(userId, bookId);
     return true;
   } catch (error) {
     logger.logError("Failed to rate book", error, { userId, bookId, rating });
@@ -81,7 +91,7 @@ async function getUserRating(userId, bookId) {
   const db = await openDb();
   try {
     const rating = await db.get(
-      "SELECT rating, review FROM book_ratings WHERE user_id = ? AND book_id = ?",
+      "SELECT rating, review, review_status FROM book_ratings WHERE user_id = ? AND book_id = ?",
       [userId, bookId]
     );
     return rating;
@@ -97,9 +107,10 @@ async function getUserRating(userId, bookId) {
  * Get top-rated books
  * @param {number} limit - Maximum results
  * @param {number} minRatings - Minimum number of ratings required
+ * @param {number} offset - Rows to skip
  * @returns {Promise<Array>} Top-rated books
  */
-async function getTopRatedBooks(limit = 10, minRatings = 3) {
+async function getTopRatedBooks(limit = 10, minRatings = 3, offset = 0) {
   const db = await openDb();
   try {
     const books = await db.all(
@@ -111,8 +122,8 @@ async function getTopRatedBooks(limit = 10, minRatings = 3) {
        GROUP BY b.id
        HAVING COUNT(r.rating) >= ?
        ORDER BY avg_rating DESC, rating_count DESC
-       LIMIT ?`,
-      [minRatings, limit]
+       LIMIT ? OFFSET ?`,
+      [minRatings, limit, offset]
     );
     return books;
   } catch (error) {
@@ -123,6 +134,31 @@ async function getTopRatedBooks(limit = 10, minRatings = 3) {
   }
 }
 
+/**
+ * Count books with enough ratings to appear in the top-rated list
+ * @param {number} minRatings - Minimum number of ratings required
+ * @returns {Promise<number>} Number of books
+ */
+async function countTopRatedBooks(minRatings = 3) {
+  const db = await openDb();
+  try {
+    const result = await db.get(
+      `SELECT COUNT(*) as count FROM (
+         SELECT book_id FROM book_ratings
+         GROUP BY book_id
+         HAVING COUNT(rating) >= ?
+       )`,
+      [minRatings]
+    );
+    return result.count || 0;
+  } catch (error) {
+    logger.logError("Failed to count top-rated books", error);
+    return 0;
+  } finally {
+    await closeDb(db);
+  }
+}
+
 /**
  * Show rating interface
  * @param {object} ctx - Telegraf context
@@ -141,7 +177,7 @@ async function showRatingInterface(ctx, bookId) {
     ],
   ]);
 
-  await ctx.reply("⭐ قيّم هذا الكتاب:", keyboard);
+  await ctx.reply(ctx.t("rating.prompt"), keyboard);
 }
 
 /**
@@ -156,54 +192,311 @@ async function handleRatingCallback(ctx, bookId, rating) {
   const success = await rateBook(userId, bookId, rating);
 
   if (success) {
-    const ratingInfo = await getBookRating(bookId);
-    await ctx.answerCbQuery(`✅ شكراً! تقييمك: ${"⭐".repeat(rating)}`);
-    await ctx.editMessageText(
-      `تم تقييم الكتاب بنجاح!\n\n📊 متوسط التقييم: ${ratingInfo.average} ⭐\n👥 عدد التقييمات: ${ratingInfo.count}`,
-      { parse_mode: "HTML" }
+    const [ratingInfo, userRating] = await Promise.all([
+      getBookRating(bookId),
+      getUserRating(userId, bookId),
+    ]);
+    await ctx.answerCbQuery(
+      ctx.t("rating.thanks", { stars: "⭐".repeat(rating) })
+    );
+    await ctx.editMessageText(ctx.t("rating.saved", ratingInfo), {
+      parse_mode: "HTML",
+      reply_markup: Markup.inlineKeyboard([
+        [
+          Markup.button.callback(
+            ctx.t(
+              userRating && userRating.review
+                ? "rating.editReview"
+                : "rating.writeReview"
+            ),
+            `review_write_${bookId}`
+          ),
+          Markup.button.callback(
+            ctx.t("rating.reviewsButton"),
+            `reviews_${bookId}`
+          ),
+        ],
+      ]).reply_markup,
+    });
+  } else {
+    await ctx.answerCbQuery(ctx.t("rating.error"));
+  }
+}
+
+/**
+ * Save or replace the review text of an existing rating
+ * The review goes back to the moderation queue until approved.
+ * @param {number} userId - User ID
+ * @param {number} bookId - Book ID
+ * @param {string} review - Review text
+ * @returns {Promise<boolean>} Success status (false when the book is not rated)
+ */
+async function saveReview(userId, bookId, review) {
+  const db = await openDb();
+  try {
+    const result = await db.run(
+      `UPDATE book_ratings
+       SET review = ?, review_status = 'pending', report_count = 0,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND book_id = ?`,
+      [review, userId, bookId]
+    );
+    if (result.changes === 0) return false;
+
+    logger.logInfo("Review saved", { userId, bookId });
+    return true;
+  } catch (error) {
+    logger.logError("Failed to save review", error, { userId, bookId });
+    return false;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Delete the review text of a rating (the star rating is kept)
+ * @param {number} userId - User ID
+ * @param {number} bookId - Book ID
+ * @returns {Promise<boolean>} Success status
+ */
+async function deleteReview(userId, bookId) {
+  const db = await openDb();
+  try {
+    const result = await db.run(
+      `UPDATE book_ratings
+       SET review = NULL, review_status = NULL, report_count = 0,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND book_id = ? AND review IS NOT NULL`,
+      [userId, bookId]
+    );
+    logger.logInfo("Review deleted", { userId, bookId });
+    return result.changes > 0;
+  } catch (error) {
+    logger.logError("Failed to delete review", error, { userId, bookId });
+    return false;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Ask the user for review text
+ * @param {object} ctx - Telegraf context
+ * @param {number} bookId - Book ID
+ */
+async function startReviewWriting(ctx, bookId) {
+  const userRating = await getUserRating(ctx.from.id, bookId);
+  if (!userRating) {
+    await ctx.answerCbQuery(ctx.t("rating.rateFirst"));
+    await showRatingInterface(ctx, bookId);
+    return;
+  }
+
+  ctx.session.writing_review = { bookId };
+  await ctx.answerCbQuery();
+
+  let message = ctx.t("rating.reviewPrompt", {
+    min: config.reviews.minLength,
+    max: config.reviews.maxLength,
+  });
+  if (userRating.review) {
+    message += `\n\n${ctx.t("rating.currentReview")}\n${sanitizeHtml(
+      userRating.review
+    )}`;
+  }
+  message += `\n\n${ctx.t("common.cancelHint")}`;
+
+  await ctx.reply(message, { parse_mode: "HTML" });
+}
+
+/**
+ * Handle review text sent while writing a review
+ * @param {object} ctx - Telegraf context
+ */
+async function handleReviewText(ctx) {
+  const { bookId } = ctx.session.writing_review;
+  const text = ctx.message.text.trim();
+
+  const { valid, reason } = validateReviewText(text);
+  if (!valid) {
+    await ctx.reply(
+      reason === "profanity"
+        ? ctx.t("rating.reviewProfanity")
+        : ctx.t("rating.reviewLength", {
+            min: config.reviews.minLength,
+            max: config.reviews.maxLength,
+          })
     );
+    return;
+  }
+
+  delete ctx.session.writing_review;
+
+  if (await saveReview(ctx.from.id, bookId, text)) {
+    await ctx.reply(ctx.t("rating.reviewSaved"), {
+      reply_markup: Markup.inlineKeyboard([
+        [
+          Markup.button.callback(
+            ctx.t("rating.reviewsButton"),
+            `reviews_${bookId}`
+          ),
+        ],
+      ]).reply_markup,
+    });
   } else {
-    await ctx.answerCbQuery("❌ حدث خطأ أثناء التقييم");
+    await ctx.reply(ctx.t("rating.reviewSaveError"));
   }
 }
 
 /**
- * Show book reviews
+ * Delete the user's own review and refresh the reviews page
  * @param {object} ctx - Telegraf context
  * @param {number} bookId - Book ID
  */
-async function showBookReviews(ctx, bookId) {
+async function handleDeleteReview(ctx, bookId) {
+  if (await deleteReview(ctx.from.id, bookId)) {
+    await showBookReviews(ctx, bookId, {
+      edit: true,
+      notice: ctx.t("rating.reviewDeleted"),
+    });
+  } else {
+    await ctx.answerCbQuery(ctx.t("rating.noReviewToDelete"));
+  }
+}
+
+/**
+ * Show approved book reviews, paginated
+ * @param {object} ctx - Telegraf context
+ * @param {number} bookId - Book ID
+ * @param {object} options - Display options
+ * @param {number} options.page - Page number (1-based)
+ * @param {boolean} options.edit - Edit the current message instead of replying
+ * @param {string} options.notice - Optional callback notice
+ */
+async function showBookReviews(
+  ctx,
+  bookId,
+  { page = 1, edit = false, notice = undefined } = {}
+) {
   const db = await openDb();
   try {
+    const perPage = config.reviews.perPage;
+    const { total } = await db.get(
+      `SELECT COUNT(*) AS total FROM book_ratings
+       WHERE book_id = ? AND review IS NOT NULL AND review_status = 'approved'`,
+      [bookId]
+    );
+    const totalPages = Math.max(Math.ceil(total / perPage), 1);
+    const currentPage = Math.min(Math.max(page, 1), totalPages);
+
     const reviews = await db.all(
-      `SELECT r.rating, r.review, r.created_at, u.name as user_name
+      `SELECT r.id, r.user_id, r.rating, r.review, r.created_at, u.name as user_name
        FROM book_ratings r
        JOIN users u ON r.user_id = u.user_id
-       WHERE r.book_id = ? AND r.review IS NOT NULL
-       ORDER BY r.created_at DESC
-       LIMIT 10`,
-      [bookId]
+       WHERE r.book_id = ? AND r.review IS NOT NULL AND r.review_status = 'approved'
+       ORDER BY r.updated_at DESC
+       LIMIT ? OFFSET ?`,
+      [bookId, perPage, (currentPage - 1) * perPage]
+    );
+    const ownReview = await db.get(
+      `SELECT review, review_status FROM book_ratings
+       WHERE user_id = ? AND book_id = ? AND review IS NOT NULL`,
+      [ctx.from.id, bookId]
     );
 
-    if (reviews.length === 0) {
-      await ctx.reply("لا توجد مراجعات لهذا الكتاب بعد.");
-      return;
+    let message;
+    if (total === 0) {
+      message = ctx.t("rating.noReviews");
+    } else {
+      message = ctx.t("rating.reviewsTitle", { count: total });
+      reviews.forEach((review, index) => {
+        const number = (currentPage - 1) * perPage + index + 1;
+        const you = review.user_id === ctx.from.id ? ctx.t("rating.you") : "";
+        message += `${number}. ${"⭐".repeat(review.rating)}\n`;
+        message += `   👤 ${review.user_name}${you}\n`;
+        message += `   💬 ${sanitizeHtml(review.review)}\n\n`;
+      });
+    }
+    if (ownReview && ownReview.review_status === "pending") {
+      message += ctx.t("rating.reviewPending");
+    } else if (ownReview && ownReview.review_status === "rejected") {
+      message += ctx.t("rating.reviewRejected");
     }
 
-    let message = "<b>📝 مراجعات الكتاب:</b>\n\n";
-    reviews.forEach((review, index) => {
-      message += `${index + 1}. ${"⭐".repeat(review.rating)}\n`;
-      message += `   👤 ${review.user_name}\n`;
-      if (review.review) {
-        message += `   💬 ${review.review}\n`;
+    const keyboard = [];
+    const reportButtons = reviews
+      .map((review, index) => ({
+        review,
+        number: (currentPage - 1) * perPage + index + 1,
+      }))
+      .filter(({ review }) => review.user_id !== ctx.from.id)
+      .map(({ review, number }) =>
+        Markup.button.callback(`🚩 ${number}`, `review_report_${review.id}`)
+      );
+    if (reportButtons.length > 0) {
+      keyboard.push(reportButtons);
+    }
+    if (totalPages > 1) {
+      const navRow = [];
+      if (currentPage > 1) {
+        navRow.push(
+          Markup.button.callback(
+            "◀️",
+            `reviews_page_${bookId}_${currentPage - 1}`
+          )
+        );
       }
-      message += "\n";
-    });
+      navRow.push(
+        Markup.button.callback(
+          `${currentPage}/${totalPages}`,
+          `reviews_page_${bookId}_${currentPage}`
+        )
+      );
+      if (currentPage < totalPages) {
+        navRow.push(
+          Markup.button.callback(
+            "▶️",
+            `reviews_page_${bookId}_${currentPage + 1}`
+          )
+        );
+      }
+      keyboard.push(navRow);
+    }
+    if (ownReview) {
+      keyboard.push([
+        Markup.button.callback(
+          ctx.t("rating.editReview"),
+          `review_write_${bookId}`
+        ),
+        Markup.button.callback(
+          ctx.t("rating.deleteReview"),
+          `review_delete_${bookId}`
+        ),
+      ]);
+    } else {
+      keyboard.push([
+        Markup.button.callback(
+          ctx.t("rating.writeReview"),
+          `review_write_${bookId}`
+        ),
+      ]);
+    }
 
-    await ctx.reply(message, { parse_mode: "HTML" });
+    const extra = {
+      parse_mode: "HTML",
+      reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
+    };
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery(notice);
+    }
+    if (edit) {
+      await ctx.editMessageText(message, extra);
+    } else {
+      await ctx.reply(message, extra);
+    }
   } catch (error) {
     logger.logError("Failed to show book reviews", error, { bookId });
-    await ctx.reply("❌ حدث خطأ أثناء عرض المراجعات");
+    await ctx.reply(ctx.t("rating.reviewsError"));
   } finally {
     await closeDb(db);
   }
@@ -213,13 +506,16 @@ async function showBookReviews(ctx, bookId) {
  * Format rating display
  * @param {number} average - Average rating
  * @param {number} count - Number of ratings
+ * @param {string} locale - Interface locale
  * @returns {string} Formatted rating string
  */
-function formatRating(average, count) {
-  if (count === 0) return "لم يتم التقييم بعد";
+function formatRating(average, count, locale = config.i18n.defaultLocale) {
+  if (count === 0) return t(locale, "common.notRated");
 
   const stars = "⭐".repeat(Math.round(average));
-  return `${stars} ${average}/5 (${count} تقييم)`;
+  return `${stars} ${average}/5 (${t(locale, "common.ratingsCount", {
+    count,
+  })})`;
 }
 
 module.exports = {
@@ -227,8 +523,14 @@ module.exports = {
   getBookRating,
   getUserRating,
   getTopRatedBooks,
+  countTopRatedBooks,
   showRatingInterface,
   handleRatingCallback,
+  saveReview,
+  deleteReview,
+  startReviewWriting,
+  handleReviewText,
+  handleDeleteReview,
   showBookReviews,
   formatRating,
 };
@@ -1,6 +1,7 @@
 const { openDb, closeDb } = require("./db_manager");
 const logger = require("./logger");
-const { getTopRatedBooks } = require("./rating");
+const { getTopRatedBooks, countTopRatedBooks } = require("./rating");
+const { getPageBounds, buildPager, sendPage } = require("./pagination");
 
 /**
  * Get recently accessed books by user
@@ -34,9 +35,10 @@ async function getRecentBooks(userId, limit = 10) {
  * Get popular books (most requested)
  * @param {number} limit - Maximum results
  * @param {string} category - Optional category filter
+ * @param {number} offset - Rows to skip
  * @returns {Promise<Array>} Popular books
  */
-async function getPopularBooks(limit = 10, category = null) {
+async function getPopularBooks(limit = 10, category = null, offset = 0) {
   const db = await openDb();
   try {
     let query = `
@@ -51,8 +53,8 @@ async function getPopularBooks(limit = 10, category = null) {
       params.push(category);
     }
 
-    query += " ORDER BY request_count DESC LIMIT ?";
-    params.push(limit);
+    query += " ORDER BY request_count DESC, id LIMIT ? OFFSET ?";
+    params.push(limit, offset);
 
     const books = await db.all(query, params);
     return books;
@@ -64,6 +66,33 @@ async function getPopularBooks(limit = 10, category = null) {
   }
 }
 
+/**
+ * Count requested books
+ * @param {string} category - Optional category filter
+ * @returns {Promise<number>} Number of books
+ */
+async function countPopularBooks(category = null) {
+  const db = await openDb();
+  try {
+    let query =
+      "SELECT COUNT(*) as count FROM usol_books WHERE request_count > 0";
+    const params = [];
+
+    if (category) {
+      query += " AND category = ?";
+      params.push(category);
+    }
+
+    const result = await db.get(query, params);
+    return result.count || 0;
+  } catch (error) {
+    logger.logError("Failed to count popular books", error);
+    return 0;
+  } finally {
+    await closeDb(db);
+  }
+}
+
 /**
  * Get personalized recommendations for user
  * Based on: favorites, recent reads, and search history
@@ -224,11 +253,11 @@ async function showRecommendations(ctx) {
   const recommendations = await getPersonalizedRecommendations(userId, 10);
 
   if (recommendations.length === 0) {
-    await ctx.reply("لا توجد توصيات متاحة حالياً.");
+    await ctx.reply(ctx.t("recommendations.empty"));
     return;
   }
 
-  let message = "<b>📚 كتب موصى بها لك:</b>\n\n";
+  let message = ctx.t("recommendations.title");
   recommendations.forEach((book, index) => {
     message += `${index + 1}. 📖 <b>${book.book_name}</b>\n`;
     message += `   ✍️ ${book.author_name}\n`;
@@ -240,60 +269,84 @@ async function showRecommendations(ctx) {
 }
 
 /**
- * Show popular books to user
+ * Show popular books to user, paginated
  * @param {object} ctx - Telegraf context
  * @param {string} category - Optional category filter
+ * @param {number} page - Page number (1-based)
  */
-async function showPopularBooks(ctx, category = null) {
-  const books = await getPopularBooks(10, category);
+async function showPopularBooks(ctx, category = null, page = 1) {
+  const total = await countPopularBooks(category);
 
-  if (books.length === 0) {
-    await ctx.reply("لا توجد كتب شائعة حالياً.");
+  if (total === 0) {
+    if (ctx.callbackQuery) await ctx.answerCbQuery();
+    await ctx.reply(ctx.t("recommendations.popularEmpty"));
     return;
   }
 
-  const categoryText = category ? ` في قسم ${category}` : "";
-  let message = `<b>🔥 الكتب الأكثر طلباً${categoryText}:</b>\n\n`;
+  const bounds = getPageBounds(total, page);
+  const books = await getPopularBooks(bounds.limit, category, bounds.offset);
+
+  let message = category
+    ? ctx.t("recommendations.popularCategoryTitle", { category })
+    : ctx.t("recommendations.popularTitle");
 
   books.forEach((book, index) => {
-    message += `${index + 1}. 📖 <b>${book.book_name}</b>\n`;
+    message += `${bounds.offset + index + 1}. 📖 <b>${book.book_name}</b>\n`;
     message += `   ✍️ ${book.author_name}\n`;
-    message += `   📊 ${book.request_count} طلب\n`;
+    message += `   ${ctx.t("recommendations.requests", {
+      count: book.request_count,
+    })}\n`;
     message += `   🔗 /book_${book.id}\n\n`;
   });
 
-  await ctx.reply(message, { parse_mode: "HTML" });
+  const prefix = category ? `popular_page_${category}_` : "popular_page_";
+  await sendPage(
+    ctx,
+    message,
+    buildPager(prefix, bounds.page, bounds.totalPages)
+  );
 }
 
 /**
- * Show top-rated books to user
+ * Show top-rated books to user, paginated
  * @param {object} ctx - Telegraf context
+ * @param {number} page - Page number (1-based)
  */
-async function showTopRated(ctx) {
-  const books = await getTopRatedBooks(10, 3);
+async function showTopRated(ctx, page = 1) {
+  const total = await countTopRatedBooks(3);
 
-  if (books.length === 0) {
-    await ctx.reply("لا توجد كتب مقيّمة بشكل كافٍ حالياً.");
+  if (total === 0) {
+    if (ctx.callbackQuery) await ctx.answerCbQuery();
+    await ctx.reply(ctx.t("recommendations.topRatedEmpty"));
     return;
   }
 
-  let message = "<b>⭐ أفضل الكتب تقييماً:</b>\n\n";
+  const bounds = getPageBounds(total, page);
+  const books = await getTopRatedBooks(bounds.limit, 3, bounds.offset);
+
+  let message = ctx.t("recommendations.topRatedTitle");
 
   books.forEach((book, index) => {
-    message += `${index + 1}. 📖 <b>${book.book_name}</b>\n`;
+    message += `${bounds.offset + index + 1}. 📖 <b>${book.book_name}</b>\n`;
     message += `   ✍️ ${book.author_name}\n`;
-    message += `   ⭐ ${book.avg_rating.toFixed(1)}/5 (${
-      book.rating_count
-    } تقييم)\n`;
+    message += `   ${ctx.t("common.ratingSummary", {
+      average: book.avg_rating.toFixed(1),
+      count: book.rating_count,
+    })}\n`;
     message += `   🔗 /book_${book.id}\n\n`;
   });
 
-  await ctx.reply(message, { parse_mode: "HTML" });
+  await sendPage(
+    ctx,
+    message,
+    buildPager("top_rated_page_", bounds.page, bounds.totalPages)
+  );
 }
 
 module.exports = {
   getRecentBooks,
   getPopularBooks,
+  countPopularBooks,
   getPersonalizedRecommendations,
   getBooksByAuthor,
   getSimilarBooksByCategory,
@@ -0,0 +1,198 @@
+const { Markup } = require("telegraf");
+const { openDb, closeDb } = require("./db_manager");
+const { logAdminAction, setBanned } = require("./admin");
+const { rewardReview } = require("./economy");
+const { sanitizeHtml } = require("./validators");
+const logger = require("./logger");
+
+/**
+ * Get a rating row with its review
+ * @param {number} ratingId - Rating ID
+ * @returns {Promise<object|null>} Rating row
+ */
+async function getReview(ratingId) {
+  const db = await openDb();
+  try {
+    const review = await db.get(
+      "SELECT id, user_id, book_id, review, review_status FROM book_ratings WHERE id = ?",
+      [ratingId]
+    );
+    return review || null;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Report a review, sending it back to the moderation queue
+ * @param {number} userId - Reporter user ID
+ * @param {number} ratingId - Rating ID
+ * @returns {Promise<string>} Result ("reported", "duplicate", "own" or "not_found")
+ */
+async function reportReview(userId, ratingId) {
+  const review = await getReview(ratingId);
+  if (!review || !review.review) return "not_found";
+  if (review.user_id === userId) return "own";
+
+  const db = await openDb();
+  try {
+    const result = await db.run(
+      "INSERT OR IGNORE INTO review_reports (rating_id, reporter_id) VALUES (?, ?)",
+      [ratingId, userId]
+    );
+    if (result.changes === 0) return "duplicate";
+
+    await db.run(
+      `UPDATE book_ratings
+       SET report_count = report_count + 1, review_status = 'pending'
+       WHERE id = ?`,
+      [ratingId]
+    );
+    logger.logInfo("Review reported", { userId, ratingId });
+    return "reported";
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Handle the report button under a review
+ * @param {object} ctx - Telegraf context
+ * @param {number} ratingId - Rating ID
+ */
+async function handleReportReview(ctx, ratingId) {
+  try {
+    const result = await reportReview(ctx.from.id, ratingId);
+    const messages = {
+      reported: "🚩 شكراً، تم إرسال البلاغ إلى المشرفين",
+      duplicate: "⚠️ لقد أبلغت عن هذه المراجعة مسبقاً",
+      own: "⚠️ لا يمكنك الإبلاغ عن مراجعتك",
+      not_found: "⚠️ هذه المراجعة غير موجودة",
+    };
+    await ctx.answerCbQuery(messages[result]);
+  } catch (error) {
+    logger.logError("Failed to report review", error, {
+      userId: ctx.from.id,
+      ratingId,
+    });
+    await ctx.answerCbQuery("❌ حدث خطأ أثناء إرسال البلاغ");
+  }
+}
+
+/**
+ * /reviews_queue - show the next review awaiting moderation
+ * Reported reviews come first, then the oldest new reviews.
+ * @param {object} ctx - Telegraf context
+ */
+async function showReviewQueue(ctx) {
+  const db = await openDb();
+  try {
+    const { total } = await db.get(
+      `SELECT COUNT(*) AS total FROM book_ratings
+       WHERE review_status = 'pending' AND review IS NOT NULL`
+    );
+    const review = await db.get(
+      `SELECT r.id, r.user_id, r.rating, r.review, r.report_count,
+              b.book_name, u.name AS user_name
+       FROM book_ratings r
+       JOIN usol_books b ON r.book_id = b.id
+       LEFT JOIN users u ON r.user_id = u.user_id
+       WHERE r.review_status = 'pending' AND r.review IS NOT NULL
+       ORDER BY r.report_count DESC, r.updated_at
+       LIMIT 1`
+    );
+
+    if (ctx.callbackQuery) await ctx.answerCbQuery();
+
+    if (!review) {
+      await ctx.reply("📭 لا توجد مراجعات بانتظار الموافقة.");
+      return;
+    }
+
+    let message = `<b>🗂️ مراجعات بانتظار الموافقة:</b> ${total}\n\n`;
+    message += `📚 ${sanitizeHtml(review.book_name)}\n`;
+    message += `👤 ${sanitizeHtml(review.user_name || "")} (${
+      review.user_id
+    })\n`;
+    message += `${"⭐".repeat(review.rating)}\n\n`;
+    message += `💬 ${sanitizeHtml(review.review)}\n`;
+    if (review.report_count > 0) {
+      message += `\n🚩 عدد البلاغات: ${review.report_count}`;
+    }
+
+    await ctx.reply(message, {
+      parse_mode: "HTML",
+      reply_markup: Markup.inlineKeyboard([
+        [
+          Markup.button.callback("✅ قبول", `rmod_approve_${review.id}`),
+          Markup.button.callback("❌ رفض", `rmod_reject_${review.id}`),
+        ],
+        [Markup.button.callback("🚫 رفض وحظر الكاتب", `rmod_ban_${review.id}`)],
+      ]).reply_markup,
+    });
+  } catch (error) {
+    logger.logError("Failed to show review queue", error);
+    await ctx.reply("❌ حدث خطأ أثناء عرض المراجعات.");
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Approve, reject, or reject and ban the author of a pending review
+ * @param {object} ctx - Telegraf context
+ * @param {number} ratingId - Rating ID
+ * @param {string} action - "approve", "reject" or "ban"
+ */
+async function handleReviewModeration(ctx, ratingId, action) {
+  const status = action === "approve" ? "approved" : "rejected";
+  const review = await getReview(ratingId);
+
+  const db = await openDb();
+  let result;
+  try {
+    result = await db.run(
+      `UPDATE book_ratings
+       SET review_status = ?, report_count = 0
+       WHERE id = ? AND review_status = 'pending'`,
+      [status, ratingId]
+    );
+  } finally {
+    await closeDb(db);
+  }
+
+  if (!review || result.changes === 0) {
+    await ctx.answerCbQuery("⚠️ تمت مراجعة هذه المراجعة مسبقاً");
+    return;
+  }
+
+  await logAdminAction(
+    ctx.from.id,
+    `review_${status}`,
+    "book_ratings",
+    ratingId
+  );
+
+  let notice;
+  if (action === "approve") {
+    // Reviews are rewarded once per book, so re-approvals earn nothing
+    await rewardReview(review.user_id, review.book_id);
+    notice = "✅ تم قبول المراجعة.";
+  } else if (action === "ban") {
+    notice = (await setBanned(ctx.from.id, review.user_id, true, "review"))
+      ? `🚫 تم رفض المراجعة وحظر المستخدم ${review.user_id}.`
+      : "❌ تم رفض المراجعة.\n⛔ لا يمكن حظر مشرف.";
+  } else {
+    notice = "❌ تم رفض المراجعة.";
+  }
+
+  await ctx.editMessageText(notice);
+  await showReviewQueue(ctx);
+}
+
+module.exports = {
+  reportReview,
+  handleReportReview,
+  showReviewQueue,
+  handleReviewModeration,
+};
@@ -0,0 +1,178 @@
+const fs = require("fs");
+const { performance } = require("perf_hooks");
+const config = require("./config");
+const { openDb, closeDb, createDatabase } = require("./db_manager");
+const { advancedSearch } = require("./advanced_search");
+
+/**
+ * Build sample queries from the catalog: exact names, prefixes, names with
+ * a dropped letter (typos) and author names
+ * @param {number} count - Number of books to sample
+ * @returns {Promise<Array<string>>} Queries
+ */
+async function sampleQueries(count) {
+  const db = await openDb();
+  let books;
+  try {
+    books = await db.all(
+      "SELECT book_name, author_name FROM usol_books ORDER BY RANDOM() LIMIT ?",
+      [count]
+    );
+  } finally {
+    await closeDb(db);
+  }
+
+  const maxLength = config.search.maxQueryLength;
+  const queries = [];
+  books.forEach(({ book_name, author_name }) => {
+    const name = book_name.slice(0, maxLength);
+    const middle = Math.floor(name.length / 2);
+    queries.push(name);
+    queries.push(name.slice(0, Math.max(Math.ceil(name.length / 2), 3)));
+    queries.push(name.slice(0, middle) + name.slice(middle + 1));
+    queries.push(author_name.slice(0, maxLength));
+  });
+  return queries;
+}
+
+/**
+ * Time one search strategy over all queries
+ * @param {Array<string>} queries - Queries
+ * @param {boolean} useFullTextIndex - Strategy
+ * @param {number} runs - Repetitions per query
+ * @returns {Promise<object>} Latencies (ms) and result IDs per query
+ */
+async function runStrategy(queries, useFullTextIndex, runs) {
+  const latencies = [];
+  const results = [];
+  for (const query of queries) {
+    let ids = [];
+    for (let run = 0; run < runs; run++) {
+      const start = performance.now();
+      const books = await advancedSearch(query, { useFullTextIndex });
+      latencies.push(performance.now() - start);
+      ids = books.map((book) => book.id);
+    }
+    results.push(ids);
+  }
+  return { latencies, results };
+}
+
+/**
+ * Summarize latencies
+ * @param {Array<number>} latencies - Latencies in ms
+ * @returns {object} Mean, median and 95th percentile
+ */
+function summarizeLatencies(latencies) {
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const at = (p) =>
+    sorted[Math.min(Math.floor(p * sorted.length), sorted.length - 1)];
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  return { mean, p50: at(0.5), p95: at(0.95) };
+}
+
+/**
+ * Compare the results of both strategies
+ * @param {Array<Array<number>>} expected - Full scan result IDs
+ * @param {Array<Array<number>>} actual - FTS result IDs
+ * @returns {object} Top-1 agreement, mean overlap and mismatching query indexes
+ */
+function compareResults(expected, actual) {
+  let topMatches = 0;
+  let overlapSum = 0;
+  const mismatches = [];
+
+  expected.forEach((scanIds, i) => {
+    const ftsIds = actual[i];
+    if (scanIds[0] === ftsIds[0]) topMatches++;
+
+    const overlap =
+      scanIds.length === 0
+        ? ftsIds.length === 0
+          ? 1
+          : 0
+        : scanIds.filter((id) => ftsIds.includes(id)).length / scanIds.length;
+    overlapSum += overlap;
+    if (scanIds[0] !== ftsIds[0]) mismatches.push(i);
+  });
+
+  return {
+    topAgreement: topMatches / expected.length,
+    meanOverlap: overlapSum / expected.length,
+    mismatches,
+  };
+}
+
+/**
+ * Command-line entry point:
+ * node search_benchmark.js [queries.txt] [--samples=N] [--runs=N]
+ */
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const arg = args.find((a) => a.startsWith(`--${name}=`));
+    return arg ? parseInt(arg.split("=")[1], 10) : fallback;
+  };
+  const queriesFile = args.find((arg) => !arg.startsWith("--"));
+  const runs = option("runs", 3);
+
+  // Measure the search itself, not the result cache
+  config.cache.enabled = false;
+
+  await createDatabase();
+  const queries = queriesFile
+    ? fs
+        .readFileSync(queriesFile, "utf8")
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+    : await sampleQueries(option("samples", 50));
+
+  if (queries.length === 0) {
+    console.error("No queries to run (empty catalog or queries file).");
+    process.exit(1);
+  }
+
+  const scan = await runStrategy(queries, false, runs);
+  const fts = await runStrategy(queries, true, runs);
+
+  console.log(`queries: ${queries.length}, runs per query: ${runs}`);
+  [
+    ["full scan", scan],
+    ["fts5", fts],
+  ].forEach(([label, { latencies }]) => {
+    const { mean, p50, p95 } = summarizeLatencies(latencies);
+    console.log(
+      `${label.padEnd(10)} mean ${mean.toFixed(2)} ms, p50 ${p50.toFixed(
+        2
+      )} ms, p95 ${p95.toFixed(2)} ms`
+    );
+  });
+
+  const parity = compareResults(scan.results, fts.results);
+  console.log(
+    `top-1 agreement: ${(parity.topAgreement * 100).toFixed(1)}%, ` +
+      `mean overlap: ${(parity.meanOverlap * 100).toFixed(1)}%`
+  );
+  parity.mismatches.slice(0, 10).forEach((i) => {
+    console.log(
+      `  "${queries[i]}": scan [${scan.results[i]
+        .slice(0, 3)
+        .join(", ")}] fts [${fts.results[i].slice(0, 3).join(", ")}]`
+    );
+  });
+  process.exit(0);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Benchmark failed:", error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  sampleQueries,
+  summarizeLatencies,
+  compareResults,
+};
@@ -99,10 +99,24 @@ function generateSearchKey(query, options = {}) {
   return `search:${query}:${optionsStr}`;
 }
 
+/**
+ * Drop the cached results of a query, whatever the search options
+ * @param {string} query - Normalized search query
+ * @returns {number} Number of deleted entries
+ */
+function delSearch(query) {
+  // Same layout as generateSearchKey: the options JSON follows the query
+  const prefix = `search:${query}:{`;
+  return searchCache.del(
+    searchCache.keys().filter((key) => key.startsWith(prefix))
+  );
+}
+
 module.exports = {
   get,
   set,
   del,
+  delSearch,
   flush,
   getStats,
   generateSearchKey,
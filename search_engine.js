@@ -4,19 +4,271 @@ const {
   closeDb,
   recordBookAccess,
   saveSearchHistory,
+  recordSearchSelection,
 } = require("./db_manager");
 const {
   advancedSearch,
   getSimilarBooks,
+  multiFieldSearch,
   convertToEnglishDigits,
   normalizePersianArabicChars,
+  getPartsCount,
 } = require("./advanced_search");
-const { validateUserInput } = require("./validators");
+const { parseSearchQuery } = require("./query_parser");
+const { validateUserInput, sanitizeHtml } = require("./validators");
+const { getBookLink, getShareUrl } = require("./deep_links");
+const { isFeatureEnabled } = require("./feature_flags");
 const { isFavorite } = require("./favorites");
 const { getBookRating } = require("./rating");
+const { rewardDailyDownload } = require("./economy");
+const { rememberMissingQuery } = require("./book_requests");
+const searchCache = require("./search_cache");
+const { takeDownload } = require("./rate_limiter");
+const { getPageBounds, buildPager, sendPage } = require("./pagination");
 const logger = require("./logger");
 const config = require("./config");
 
+/**
+ * Run a search written with field filters and quoted phrases
+ * Free text goes through advancedSearch with the author/category options;
+ * filters alone go through multiFieldSearch. Parts and phrases are applied
+ * to the ranked results.
+ * @param {object} parsed - Result of parseSearchQuery
+ * @returns {Promise<Array>} Matching books
+ */
+async function runStructuredSearch(parsed) {
+  const { text, phrases, author, category, minParts, maxParts } = parsed;
+  const limit = config.search.resultListSize;
+
+  if (!text && phrases.length === 0) {
+    const books = await multiFieldSearch({
+      authorName: author,
+      category,
+      minParts,
+      maxParts,
+    });
+    return books.slice(0, limit);
+  }
+
+  const results = await advancedSearch(text || phrases.join(" "), {
+    author,
+    category,
+    sortBy: "relevance",
+    limit: config.search.candidateLimit,
+  });
+
+  const normalizedPhrases = phrases.map(normalizePersianArabicChars);
+  return results
+    .filter((book) => {
+      const parts = getPartsCount(book);
+      if (minParts !== null && parts < minParts) return false;
+      if (maxParts !== null && parts > maxParts) return false;
+
+      const fields = [book.book_name, book.author_name].map(
+        normalizePersianArabicChars
+      );
+      return normalizedPhrases.every((phrase) =>
+        fields.some((field) => field.includes(phrase))
+      );
+    })
+    .slice(0, limit);
+}
+
+/**
+ * Check whether the best result is clearly the book the user meant
+ * Filter-only searches have no score, so only a single hit counts.
+ * @param {Array} results - Search results, best first
+ * @returns {boolean} Send the best result directly
+ */
+function isConfidentResult(results) {
+  const [best, runnerUp] = results;
+  if (best.score === undefined) {
+    return results.length === 1;
+  }
+  if (best.score < config.search.confidenceThreshold) {
+    return false;
+  }
+  return (
+    !runnerUp || best.score - runnerUp.score >= config.search.confidenceMargin
+  );
+}
+
+/**
+ * Show a book's details with favorite, rating and review buttons
+ * @param {object} ctx - Telegraf context
+ * @param {object} book - Book row
+ * @param {string|null} searchQuery - Query the book was found for (null
+ *   when opened from a link)
+ * @param {object} options - Card options
+ * @param {boolean} options.withDownload - Add a download button
+ */
+async function showBookCard(
+  ctx,
+  book,
+  searchQuery,
+  { withDownload = false } = {}
+) {
+  const userId = ctx.from.id;
+  const [favoritesOn, ratingsOn] = await Promise.all([
+    isFeatureEnabled("favorites"),
+    isFeatureEnabled("ratings"),
+  ]);
+
+  // Get additional info
+  const [favoriteStatus, ratingInfo] = await Promise.all([
+    favoritesOn ? isFavorite(userId, book.id) : false,
+    ratingsOn ? getBookRating(book.id) : null,
+  ]);
+
+  const header = searchQuery
+    ? ctx.t("search.resultFor", { query: sanitizeHtml(searchQuery) })
+    : "";
+  const lines = [
+    header + ctx.t("search.cardName", { name: book.book_name }),
+    ctx.t("search.cardAuthor", { author: book.author_name }),
+    ctx.t("search.cardCategory", {
+      category: book.category || ctx.t("common.uncategorized"),
+    }),
+    ctx.t("search.cardParts", { parts: getPartsCount(book) }),
+    ctx.t("search.cardRequests", { count: book.request_count }),
+  ];
+  if (ratingsOn) {
+    lines.push(
+      ratingInfo.count > 0
+        ? ctx.t("common.ratingSummary", ratingInfo)
+        : ctx.t("common.notRated")
+    );
+  }
+  if (favoritesOn) {
+    lines.push(
+      ctx.t("search.cardFavorite", { icon: favoriteStatus ? "💖" : "🤍" })
+    );
+  }
+  lines.push(`🆔 <i>${book.id}</i>`);
+  const searchResultText = lines.join("\n");
+
+  // Action buttons (only for enabled features)
+  const keyboard = [];
+  if (favoritesOn) {
+    keyboard.push([
+      Markup.button.callback(
+        ctx.t(favoriteStatus ? "favorites.remove" : "favorites.add"),
+        `fav_toggle_${book.id}`
+      ),
+    ]);
+  }
+  if (ratingsOn) {
+    keyboard.push([
+      Markup.button.callback(
+        ctx.t("rating.rateButton"),
+        `show_rate_${book.id}`
+      ),
+      Markup.button.callback(
+        ctx.t("rating.reviewsButton"),
+        `reviews_${book.id}`
+      ),
+    ]);
+  }
+  keyboard.push([
+    Markup.button.url(
+      ctx.t("common.share"),
+      getShareUrl(getBookLink(ctx.botInfo.username, book.id), book.book_name)
+    ),
+  ]);
+  if (withDownload) {
+    keyboard.unshift([
+      Markup.button.callback(
+        ctx.t("common.download"),
+        `result_download_${book.id}`
+      ),
+    ]);
+  }
+
+  await ctx.reply(searchResultText, {
+    parse_mode: "HTML",
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
+  });
+}
+
+/**
+ * Show a book's card with a download button (opened from a deep link)
+ * @param {object} ctx - Telegraf context
+ * @param {number} bookId - Book ID
+ */
+async function showBookDetails(ctx, bookId) {
+  const db = await openDb();
+  let book;
+  try {
+    book = await db.get("SELECT * FROM usol_books WHERE id = ?", [bookId]);
+  } finally {
+    await closeDb(db);
+  }
+
+  if (!book) {
+    await ctx.reply(ctx.t("search.bookNotFound"));
+    return;
+  }
+  await showBookCard(ctx, book, null, { withDownload: true });
+}
+
+/**
+ * Send every file of a book and record the download
+ * @param {object} ctx - Telegraf context
+ * @param {object} book - Book row
+ */
+async function sendBookFiles(ctx, book) {
+  const userId = ctx.from.id;
+
+  if (!book.file_path) {
+    await ctx.reply(ctx.t("search.noFile"));
+    return;
+  }
+  if (!(await takeDownload(ctx))) {
+    return;
+  }
+
+  const filePaths = book.file_path.split("|");
+  let filesSent = 0;
+
+  for (const filePath of filePaths) {
+    try {
+      await ctx.replyWithDocument(filePath);
+      filesSent++;
+    } catch (error) {
+      logger.logError("Failed to send file", error, {
+        filePath,
+        bookId: book.id,
+      });
+    }
+  }
+
+  if (filesSent === 0) {
+    await ctx.reply(ctx.t("common.filesFailed"));
+    return;
+  }
+
+  // Record access and increment count
+  await recordBookAccess(userId, book.id);
+  await rewardDailyDownload(userId);
+  const db = await openDb();
+  await db.run(
+    `UPDATE usol_books 
+     SET request_count = request_count + 1, 
+         total_requests = total_requests + 1,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [book.id]
+  );
+  await closeDb(db);
+
+  await ctx.reply(ctx.t("common.filesSent", { count: filesSent }));
+
+  // Show similar books
+  if (await isFeatureEnabled("recommendations")) {
+    await showSimilarBooks(ctx, book.id, book.author_name, book.category);
+  }
+}
+
 /**
  * Handle search engine with advanced features
  * @param {object} ctx - Telegraf context
@@ -28,130 +280,92 @@ async function handleSearchEngine(ctx, { book_id = null } = {}) {
   try {
     let searchQuery;
     let source = "message";
+    let parsed = null;
 
     if (book_id) {
       searchQuery = book_id.toString();
       source = "callback";
     } else {
       const userInput = ctx.message.text.trim();
-      if (!(await validateUserInput(ctx, userInput))) {
+      const maxLength = /[:"]/.test(userInput)
+        ? config.search.maxAdvancedQueryLength
+        : config.search.maxQueryLength;
+      if (!(await validateUserInput(ctx, userInput, maxLength))) {
+        return;
+      }
+
+      const { value, error } = parseSearchQuery(userInput);
+      if (error) {
+        await ctx.reply(
+          ctx.t("search.syntaxError", {
+            error: sanitizeHtml(
+              ctx.t(`queryErrors.${error.key}`, error.params)
+            ),
+            help: ctx.t("search.syntaxHelp"),
+          }),
+          {
+            parse_mode: "HTML",
+          }
+        );
         return;
       }
+      if (value.hasSyntax) {
+        parsed = value;
+      }
+
       searchQuery = convertToEnglishDigits(
         normalizePersianArabicChars(userInput)
       );
     }
 
     // Perform advanced search
-    const results = await advancedSearch(searchQuery, {
-      sortBy: "relevance",
-      limit: config.search.maxSimilarResults,
-    });
+    const results = parsed
+      ? await runStructuredSearch(parsed)
+      : await advancedSearch(searchQuery, {
+          sortBy: "relevance",
+          limit: config.search.resultListSize,
+        });
 
     // Save search to history
-    await saveSearchHistory(userId, searchQuery, results.length);
-
-    if (results.length > 0) {
-      // Show best result
-      const bestResult = results[0];
-
-      // Get additional info
-      const [favoriteStatus, ratingInfo] = await Promise.all([
-        isFavorite(userId, bestResult.id),
-        getBookRating(bestResult.id),
-      ]);
-
-      const favoriteIcon = favoriteStatus ? "💖" : "🤍";
-      const ratingText =
-        ratingInfo.count > 0
-          ? `⭐ ${ratingInfo.average}/5 (${ratingInfo.count} تقييم)`
-          : "لم يتم التقييم بعد";
-
-      const searchResultText = `
-🔍 <b>نتیجة البحث لـ : ${searchQuery}</b>
-
-📚 <b>اسم الكتاب : </b> ${bestResult.book_name}
-✍️ <b>اسم المؤلف : </b> ${bestResult.author_name}
-📂 <b>القسم : </b> ${bestResult.category || "غير محدد"}
-📄 <b>عدد الأجزاء : </b> ${
-        bestResult.file_path ? bestResult.file_path.split("|").length : 0
-      }
-📊 <b>عدد مرات الطلب : </b> ${bestResult.request_count}
-${ratingText}
-${favoriteIcon} <b>في المفضلة</b>
-🆔 <i>${bestResult.id}</i>
-      `.trim();
-
-      // Action buttons
-      const keyboard = [
-        [
-          Markup.button.callback(
-            favoriteStatus ? "💔 إزالة من المفضلة" : "💖 إضافة للمفضلة",
-            `fav_toggle_${bestResult.id}`
-          ),
-        ],
-        [
-          Markup.button.callback(
-            "⭐ قيّم الكتاب",
-            `show_rate_${bestResult.id}`
-          ),
-        ],
-      ];
-
-      await ctx.reply(searchResultText, {
-        parse_mode: "HTML",
-        reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
-      });
+    if (await isFeatureEnabled("searchHistory")) {
+      await saveSearchHistory(userId, searchQuery, results.length);
+    }
 
-      // Send files
-      if (bestResult.file_path) {
-        const filePaths = bestResult.file_path.split("|");
-        let filesSent = 0;
-
-        for (const filePath of filePaths) {
-          try {
-            await ctx.replyWithDocument(filePath);
-            filesSent++;
-          } catch (error) {
-            logger.logError("Failed to send file", error, {
-              filePath,
-              bookId: bestResult.id,
-            });
-          }
+    if (results.length > 0 && isConfidentResult(results)) {
+      await showBookCard(ctx, results[0], searchQuery);
+      await sendBookFiles(ctx, results[0]);
+    } else if (results.length > 0) {
+      // Not sure which book was meant: let the user pick from a list
+      ctx.session.search_results = {
+        query: searchQuery,
+        results: results.map((book) => ({ id: book.id, score: book.score })),
+      };
+      await showSearchResults(ctx, 1);
+    } else {
+      // No exact match, offer to request the book and show alternatives
+      const notice = await ctx.reply(
+        ctx.t("search.noExactResult", { query: searchQuery }),
+        {
+          reply_markup: Markup.inlineKeyboard([
+            [
+              Markup.button.callback(
+                ctx.t("search.requestButton"),
+                "book_request"
+              ),
+            ],
+          ]).reply_markup,
         }
+      );
+      rememberMissingQuery(ctx, notice.message_id, searchQuery);
 
-        if (filesSent > 0) {
-          // Record access and increment count
-          await recordBookAccess(userId, bestResult.id);
-          const db = await openDb();
-          await db.run(
-            `UPDATE usol_books 
-             SET request_count = request_count + 1, 
-                 total_requests = total_requests + 1,
-                 updated_at = CURRENT_TIMESTAMP
-             WHERE id = ?`,
-            [bestResult.id]
-          );
-          await closeDb(db);
-
-          await ctx.reply(`📥 تم إرسال ${filesSent} ملف.`);
-
-          // Show similar books
-          await showSimilarBooks(
-            ctx,
-            bestResult.id,
-            bestResult.author_name,
-            bestResult.category
-          );
-        } else {
-          await ctx.reply("❌ حدثت مشكلة في إرسال الملفات.");
-        }
-      } else {
-        await ctx.reply("❌ لم يتم العثور على ملف للكتاب.");
-      }
-    } else {
-      // No exact match, show alternatives
-      await ctx.reply(`❌ لم یتم العثور علی نتیجة دقيقة ل (${searchQuery}).`);
+      // With filters, suggest matches for the free text alone
+      const alternativeQuery = parsed
+        ? convertToEnglishDigits(
+            normalizePersianArabicChars(
+              [parsed.text, ...parsed.phrases].join(" ").trim()
+            )
+          )
+        : searchQuery;
 
       // Try broader search
       const db = await openDb();
@@ -160,10 +374,12 @@ ${favoriteIcon} <b>في المفضلة</b>
       );
       await closeDb(db);
 
-      const alternativeResults = await advancedSearch(searchQuery, {
-        sortBy: "relevance",
-        limit: 10,
-      });
+      const alternativeResults = alternativeQuery
+        ? await advancedSearch(alternativeQuery, {
+            sortBy: "relevance",
+            limit: 10,
+          })
+        : [];
 
       if (alternativeResults.length > 0) {
         const keyboard = Markup.inlineKeyboard(
@@ -175,9 +391,7 @@ ${favoriteIcon} <b>في المفضلة</b>
           ])
         );
 
-        const messageText =
-          '📚 <b dir="rtl">تم العثور على بعض الكتب المشابهة:</b>\n\n👇 يرجى اختيار أحد النتائج أدناه:';
-        await ctx.reply(messageText, {
+        await ctx.reply(ctx.t("search.similarFound"), {
           reply_markup: keyboard.reply_markup,
           parse_mode: "HTML",
         });
@@ -185,7 +399,133 @@ ${favoriteIcon} <b>في المفضلة</b>
     }
   } catch (error) {
     logger.logError("Error in handleSearchEngine", error, { userId });
-    await ctx.reply("❌ حدث خطأ أثناء البحث. يرجى المحاولة مرة أخرى.");
+    await ctx.reply(ctx.t("errors.search"));
+  }
+}
+
+/**
+ * Show one page of the search results list kept in the session
+ * @param {object} ctx - Telegraf context
+ * @param {number} page - Page number (1-based)
+ */
+async function showSearchResults(ctx, page = 1) {
+  const state = ctx.session.search_results;
+  if (!state) {
+    await ctx.answerCbQuery(ctx.t("search.resultsExpired"));
+    return;
+  }
+
+  const bounds = getPageBounds(
+    state.results.length,
+    page,
+    config.search.resultsPerPage
+  );
+  const pageResults = state.results.slice(
+    bounds.offset,
+    bounds.offset + bounds.limit
+  );
+
+  const db = await openDb();
+  let books;
+  try {
+    books = await db.all(
+      `SELECT id, book_name, author_name, file_path
+       FROM usol_books
+       WHERE id IN (${pageResults.map(() => "?").join(", ")})`,
+      pageResults.map((result) => result.id)
+    );
+  } finally {
+    await closeDb(db);
+  }
+  const booksById = new Map(books.map((book) => [book.id, book]));
+  const ratings = (await isFeatureEnabled("ratings"))
+    ? await Promise.all(pageResults.map((result) => getBookRating(result.id)))
+    : null;
+
+  let message = ctx.t("search.resultsTitle", {
+    query: sanitizeHtml(state.query),
+  });
+  message += ctx.t("search.resultsPick");
+  const keyboard = [];
+
+  pageResults.forEach((result, index) => {
+    const book = booksById.get(result.id);
+    if (!book) return;
+
+    const number = bounds.offset + index + 1;
+    const details = [
+      ctx.t("search.resultParts", { count: getPartsCount(book) }),
+    ];
+    if (result.score !== undefined && result.score !== null) {
+      details.unshift(`🎯 ${Math.round(Math.min(result.score, 1) * 100)}%`);
+    }
+    if (ratings) {
+      const rating = ratings[index];
+      details.push(
+        rating.count > 0 ? `⭐ ${rating.average}/5 (${rating.count})` : "⭐ —"
+      );
+    }
+
+    message += `${number}. <b>${sanitizeHtml(book.book_name)}</b>\n`;
+    message += `   ✍️ ${sanitizeHtml(book.author_name)}\n`;
+    message += `   ${details.join(" | ")}\n\n`;
+
+    keyboard.push([
+      Markup.button.callback(
+        ctx.t("search.resultDownload", { number }),
+        `result_download_${book.id}`
+      ),
+      Markup.button.callback(
+        ctx.t("search.resultDetails", { number }),
+        `result_details_${book.id}`
+      ),
+    ]);
+  });
+
+  keyboard.push(...buildPager("search_page_", bounds.page, bounds.totalPages));
+  await sendPage(ctx, message, keyboard);
+}
+
+/**
+ * Handle a pick from the search results list
+ * Records the pick for the list's query so the book ranks higher next time,
+ * then sends the files or shows the details.
+ * @param {object} ctx - Telegraf context
+ * @param {number} bookId - Picked book ID
+ * @param {string} action - "download" or "details"
+ */
+async function handleResultSelection(ctx, bookId, action) {
+  const userId = ctx.from.id;
+  const state = ctx.session.search_results;
+
+  const db = await openDb();
+  let book;
+  try {
+    book = await db.get("SELECT * FROM usol_books WHERE id = ?", [bookId]);
+  } finally {
+    await closeDb(db);
+  }
+
+  if (!book) {
+    await ctx.answerCbQuery(ctx.t("search.bookNotFound"));
+    return;
+  }
+  await ctx.answerCbQuery();
+
+  // Only picks made from the list teach the ranking
+  const fromList =
+    state && state.results.some((result) => result.id === bookId);
+  if (fromList) {
+    await recordSearchSelection(userId, state.query, bookId);
+    // Cached results were ranked without this pick
+    searchCache.delSearch(state.query);
+  }
+  const searchQuery = fromList ? state.query : book.book_name;
+
+  if (action === "download") {
+    await sendBookFiles(ctx, book);
+  } else {
+    await showBookCard(ctx, book, searchQuery, { withDownload: true });
   }
 }
 
@@ -201,7 +541,7 @@ async function showSimilarBooks(ctx, bookId, authorName, category) {
     const similarBooks = await getSimilarBooks(bookId, 5);
 
     if (similarBooks.length > 0) {
-      let message = "\n📖 <b>كتب مشابهة قد تهمك:</b>\n\n";
+      let message = ctx.t("search.similarTitle");
 
       similarBooks.forEach((book, index) => {
         message += `${index + 1}. ${book.book_name} - ${book.author_name}\n`;
@@ -216,37 +556,49 @@ async function showSimilarBooks(ctx, bookId, authorName, category) {
 }
 
 /**
- * Show search history for user
+ * Show search history for user, paginated
  * @param {object} ctx - Telegraf context
+ * @param {number} page - Page number (1-based)
  */
-async function showSearchHistory(ctx) {
+async function showSearchHistory(ctx, page = 1) {
   const userId = ctx.from.id;
   const db = await openDb();
 
   try {
-    const history = await db.all(
-      `SELECT DISTINCT search_query, created_at 
-       FROM search_history 
-       WHERE user_id = ? 
-       ORDER BY created_at DESC 
-       LIMIT 20`,
+    const { total } = await db.get(
+      "SELECT COUNT(*) AS total FROM search_history WHERE user_id = ?",
       [userId]
     );
 
-    if (history.length === 0) {
-      await ctx.reply("📭 لا توجد سجل للبحث.");
+    if (total === 0) {
+      if (ctx.callbackQuery) await ctx.answerCbQuery();
+      await ctx.reply(ctx.t("search.historyEmpty"));
       return;
     }
 
-    let message = "<b>🔍 سجل البحث الأخير:</b>\n\n";
+    const bounds = getPageBounds(total, page);
+    const history = await db.all(
+      `SELECT search_query, created_at 
+       FROM search_history 
+       WHERE user_id = ? 
+       ORDER BY created_at DESC, id DESC 
+       LIMIT ? OFFSET ?`,
+      [userId, bounds.limit, bounds.offset]
+    );
+
+    let message = ctx.t("search.historyTitle");
     history.forEach((item, index) => {
-      message += `${index + 1}. ${item.search_query}\n`;
+      message += `${bounds.offset + index + 1}. ${item.search_query}\n`;
     });
 
-    await ctx.reply(message, { parse_mode: "HTML" });
+    await sendPage(
+      ctx,
+      message,
+      buildPager("history_page_", bounds.page, bounds.totalPages)
+    );
   } catch (error) {
     logger.logError("Failed to show search history", error, { userId });
-    await ctx.reply("❌ حدث خطأ أثناء عرض السجل.");
+    await ctx.reply(ctx.t("search.historyError"));
   } finally {
     await closeDb(db);
   }
@@ -272,11 +624,11 @@ async function showRecentBooks(ctx) {
     );
 
     if (recentBooks.length === 0) {
-      await ctx.reply("📭 لا توجد كتب تم الوصول إليها مؤخراً.");
+      await ctx.reply(ctx.t("search.recentEmpty"));
       return;
     }
 
-    let message = "<b>📚 الكتب التي تم الوصول إليها مؤخراً:</b>\n\n";
+    let message = ctx.t("search.recentTitle");
     recentBooks.forEach((book, index) => {
       message += `${index + 1}. ${book.book_name}\n`;
       message += `   ✍️ ${book.author_name}\n`;
@@ -286,7 +638,7 @@ async function showRecentBooks(ctx) {
     await ctx.reply(message, { parse_mode: "HTML" });
   } catch (error) {
     logger.logError("Failed to show recent books", error, { userId });
-    await ctx.reply("❌ حدث خطأ أثناء عرض الكتب الأخيرة.");
+    await ctx.reply(ctx.t("search.recentError"));
   } finally {
     await closeDb(db);
   }
@@ -294,6 +646,9 @@ async function showRecentBooks(ctx) {
 
 module.exports = {
   handleSearchEngine,
+  showBookDetails,
+  showSearchResults,
+  handleResultSelection,
   showSimilarBooks,
   showSearchHistory,
   showRecentBooks,
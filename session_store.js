@@ -0,0 +1,102 @@
+const {
+  getSession,
+  saveSession,
+  deleteSession,
+  deleteExpiredSessions,
+} = require("./db_manager");
+const logger = require("./logger");
+const config = require("./config");
+
+/**
+ * Session key per chat and user
+ * Updates without a chat (inline queries) get no session.
+ * @param {object} ctx - Telegraf context
+ * @returns {string|undefined} Session key
+ */
+function getSessionKey(ctx) {
+  if (!ctx.chat || !ctx.from) return undefined;
+  return `${ctx.chat.id}:${ctx.from.id}`;
+}
+
+/**
+ * Session store persisted in the sessions table
+ * @param {number} ttlMs - Time to live in milliseconds
+ * @returns {object} Telegraf session store
+ */
+function createSqliteStore(ttlMs) {
+  return {
+    get: (key) => getSession(key),
+    set: (key, data) => saveSession(key, data, ttlMs),
+    delete: (key) => deleteSession(key),
+    cleanup: () => deleteExpiredSessions(),
+  };
+}
+
+/**
+ * Session store kept in process memory (lost on restart)
+ * @param {number} ttlMs - Time to live in milliseconds
+ * @returns {object} Telegraf session store
+ */
+function createMemoryStore(ttlMs) {
+  const sessions = new Map();
+  return {
+    get(key) {
+      const entry = sessions.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return undefined;
+      return entry.data;
+    },
+    set(key, data) {
+      sessions.set(key, { data, expiresAt: Date.now() + ttlMs });
+    },
+    delete(key) {
+      sessions.delete(key);
+    },
+    cleanup() {
+      const now = Date.now();
+      let removed = 0;
+      for (const [key, entry] of sessions) {
+        if (entry.expiresAt <= now) {
+          sessions.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+/**
+ * Create the session store selected by config.session.store
+ * @returns {object} Telegraf session store with a cleanup() method
+ */
+function createSessionStore() {
+  const ttlMs = config.session.ttlHours * 60 * 60 * 1000;
+  if (config.session.store === "memory") {
+    return createMemoryStore(ttlMs);
+  }
+  return createSqliteStore(ttlMs);
+}
+
+/**
+ * Remove expired sessions on an interval
+ * @param {object} store - Store from createSessionStore
+ * @returns {object} Interval handle
+ */
+function startSessionCleanup(store) {
+  return setInterval(async () => {
+    try {
+      const removed = await store.cleanup();
+      if (removed > 0) {
+        logger.logInfo("Expired sessions removed", { count: removed });
+      }
+    } catch (error) {
+      logger.logError("Session cleanup failed", error);
+    }
+  }, config.session.cleanupIntervalMinutes * 60 * 1000);
+}
+
+module.exports = {
+  getSessionKey,
+  createSessionStore,
+  startSessionCleanup,
+};
@@ -0,0 +1,180 @@
+const { Markup } = require("telegraf");
+const { startOfDay, subDays } = require("date-fns");
+const {
+  getActiveUserCount,
+  getNewUserCount,
+  getSearchesPerDay,
+  getZeroResultQueries,
+  getTopDownloads,
+  getCategoryDistribution,
+  touchUserActivity,
+} = require("./db_manager");
+const searchCache = require("./search_cache");
+const { sanitizeHtml } = require("./validators");
+const { sendPage } = require("./pagination");
+const config = require("./config");
+
+// Report periods: callback key -> label and days back (0 = since midnight)
+const PERIODS = {
+  today: { label: "اليوم", days: 0 },
+  "7d": { label: "7 أيام", days: 7 },
+  "30d": { label: "30 يوماً", days: 30 },
+};
+
+// Last time users.last_activity was written per user ID
+const lastActivityWrites = new Map();
+
+/**
+ * Start of a report period in the format SQLite stores CURRENT_TIMESTAMP
+ * @param {string} period - Key of PERIODS
+ * @param {Date} now - Current time
+ * @returns {string} UTC "YYYY-MM-DD HH:MM:SS"
+ */
+function getPeriodStart(period, now = new Date()) {
+  const { days } = PERIODS[period];
+  const start = days === 0 ? startOfDay(now) : subDays(now, days);
+  return start.toISOString().slice(0, 19).replace("T", " ");
+}
+
+/**
+ * Collect every metric of the report
+ * @param {string} period - Key of PERIODS
+ * @param {Date} now - Current time
+ * @returns {Promise<object>} Report data
+ */
+async function collectStats(period, now = new Date()) {
+  const since = getPeriodStart(period, now);
+  const { topListSize } = config.stats;
+
+  const searchesPerDay = await getSearchesPerDay(since);
+  return {
+    period,
+    activeUsers: await getActiveUserCount(since),
+    newUsers: await getNewUserCount(since),
+    searchesPerDay,
+    totalSearches: searchesPerDay.reduce((sum, row) => sum + row.searches, 0),
+    zeroResultSearches: searchesPerDay.reduce(
+      (sum, row) => sum + row.zero_results,
+      0
+    ),
+    zeroResultQueries: await getZeroResultQueries(since, topListSize),
+    topDownloads: await getTopDownloads(since, topListSize),
+    categories: await getCategoryDistribution(since),
+    cache: searchCache.getStats(),
+  };
+}
+
+/**
+ * Render report data as an HTML message
+ * @param {object} stats - Data from collectStats
+ * @returns {string} HTML report
+ */
+function formatStatsReport(stats) {
+  const percent = (part, total) =>
+    total > 0 ? `${Math.round((part / total) * 100)}%` : "0%";
+
+  let message = `<b>📊 إحصاءات البوت - ${PERIODS[stats.period].label}</b>\n\n`;
+
+  message += "<b>👥 المستخدمون</b>\n";
+  message += `• نشطون: ${stats.activeUsers}\n`;
+  message += `• جدد: ${stats.newUsers}\n\n`;
+
+  message += "<b>🔍 البحث</b>\n";
+  message += `• عمليات البحث: ${stats.totalSearches}\n`;
+  message += `• بدون نتائج: ${stats.zeroResultSearches} (${percent(
+    stats.zeroResultSearches,
+    stats.totalSearches
+  )})\n`;
+  if (stats.searchesPerDay.length > 1) {
+    stats.searchesPerDay.forEach((row) => {
+      message += `  ${row.day}: ${row.searches} بحث • ${row.users} مستخدم\n`;
+    });
+  }
+  message += "\n";
+
+  if (stats.zeroResultQueries.length > 0) {
+    message += "<b>❓ أكثر عمليات البحث بلا نتائج</b>\n";
+    stats.zeroResultQueries.forEach((row, index) => {
+      message += `${index + 1}. ${sanitizeHtml(row.search_query)} (${
+        row.search_count
+      })\n`;
+    });
+    message += "\n";
+  }
+
+  if (stats.topDownloads.length > 0) {
+    message += "<b>📥 الأكثر تحميلاً</b>\n";
+    stats.topDownloads.forEach((book, index) => {
+      message += `${index + 1}. ${sanitizeHtml(book.book_name)} - ${
+        book.downloads
+      }\n`;
+    });
+    message += "\n";
+  }
+
+  const { maxCategories } = config.stats;
+  const totalBooks = stats.categories.reduce((sum, row) => sum + row.books, 0);
+  message += `<b>📂 الأقسام</b> (${totalBooks} كتاب)\n`;
+  stats.categories.slice(0, maxCategories).forEach((row) => {
+    message += `• ${sanitizeHtml(row.category || "غير محدد")}: ${
+      row.books
+    } (${percent(row.books, totalBooks)}) • 📥 ${row.downloads}\n`;
+  });
+  const others = stats.categories.slice(maxCategories);
+  if (others.length > 0) {
+    const otherBooks = others.reduce((sum, row) => sum + row.books, 0);
+    message += `• أقسام أخرى (${others.length}): ${otherBooks}\n`;
+  }
+  message += "\n";
+
+  message += "<b>⚡ ذاكرة التخزين المؤقت</b> (منذ التشغيل)\n";
+  message += `• نسبة الإصابة: ${stats.cache.hitRate} (${stats.cache.hits}/${
+    stats.cache.hits + stats.cache.misses
+  })\n`;
+  message += `• المفاتيح: ${stats.cache.keys}\n`;
+
+  return message;
+}
+
+/**
+ * /stats - show the report with period buttons
+ * @param {object} ctx - Telegraf context
+ * @param {string} period - Key of PERIODS
+ */
+async function showStats(ctx, period = "today") {
+  const message = formatStatsReport(await collectStats(period));
+  const periodRow = Object.entries(PERIODS).map(([key, { label }]) =>
+    Markup.button.callback(
+      key === period ? `• ${label} •` : label,
+      `stats_period_${key}`
+    )
+  );
+  await sendPage(ctx, message, [periodRow]);
+}
+
+/**
+ * Middleware that keeps users.last_activity current for the "active" figures
+ * Writes are throttled per user (config.stats.activityUpdateIntervalMs).
+ * @param {object} ctx - Telegraf context
+ * @param {Function} next - Next middleware
+ */
+async function trackUserActivity(ctx, next) {
+  if (ctx.from) {
+    const now = Date.now();
+    const lastWrite = lastActivityWrites.get(ctx.from.id) || 0;
+    if (now - lastWrite >= config.stats.activityUpdateIntervalMs) {
+      lastActivityWrites.set(ctx.from.id, now);
+      await touchUserActivity(ctx.from.id);
+    }
+  }
+  return next();
+}
+
+module.exports = {
+  PERIODS,
+  getPeriodStart,
+  collectStats,
+  formatStatsReport,
+  showStats,
+  trackUserActivity,
+};
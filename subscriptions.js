@@ -0,0 +1,446 @@
+const { Markup } = require("telegraf");
+const { openDb, closeDb } = require("./db_manager");
+const { getNameSlug, findNameBySlug } = require("./deep_links");
+const { sanitizeHtml } = require("./validators");
+const logger = require("./logger");
+const config = require("./config");
+
+// usol_books column followed by each subscription type
+const TARGET_COLUMNS = {
+  category: "category",
+  author: "author_name",
+};
+
+// Highest book ID already checked for subscribers (settings table)
+const CURSOR_KEY = "subscriptions.last_book_id";
+
+// Guards against a slow run overlapping the next tick
+let running = false;
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a user follows a category or author
+ * @param {number} userId - User ID
+ * @param {string} type - "category" or "author"
+ * @param {string} name - Category or author name
+ * @returns {Promise<boolean>} Subscribed
+ */
+async function isSubscribed(userId, type, name) {
+  const db = await openDb();
+  try {
+    const row = await db.get(
+      `SELECT 1 FROM subscriptions
+       WHERE user_id = ? AND target_type = ? AND target_name = ?`,
+      [userId, type, name]
+    );
+    return !!row;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Follow or unfollow a category or author
+ * @param {number} userId - User ID
+ * @param {string} type - "category" or "author"
+ * @param {string} name - Category or author name
+ * @returns {Promise<boolean>} Subscribed after the toggle
+ */
+async function toggleSubscription(userId, type, name) {
+  const db = await openDb();
+  try {
+    const removed = await db.run(
+      `DELETE FROM subscriptions
+       WHERE user_id = ? AND target_type = ? AND target_name = ?`,
+      [userId, type, name]
+    );
+    if (removed.changes > 0) return false;
+
+    await db.run(
+      `INSERT INTO subscriptions (user_id, target_type, target_name)
+       VALUES (?, ?, ?)`,
+      [userId, type, name]
+    );
+    return true;
+  } finally {
+    await closeDb(db);
+  }
+}
+
+/**
+ * Follow/unfollow button for a category list or an author page
+ * @param {string} type - "category" or "author"
+ * @param {string} name - Category or author name
+ * @param {boolean} subscribed - Current state
+ * @returns {object} Inline keyboard button
+ */
+function getSubscriptionButton(type, name, subscribed) {
+  const target = type === "category" ? "القسم" : "المؤلف";
+  return Markup.button.callback(
+    subscribed ? `🔕 إلغاء متابعة ${target}` : `🔔 متابعة ${target}`,
+    `sub_${type}_${getNameSlug(name)}`
+  );
+}
+
+/**
+ * Label of a category in the category picker
+ * @param {string} category - Category name
+ * @param {boolean} subscribed - Current state
+ * @returns {string} Button label
+ */
+function getPickerLabel(category, subscribed) {
+  return `${subscribed ? "✅" : "🔔"} ${category}`;
+}
+
+/**
+ * Toggle a subscription from a button and relabel only that button
+ * @param {object} ctx - Telegraf context
+ * @param {string} type - "category" or "author"
+ * @param {string} slug - Slug of the name (deep_links.getNameSlug)
+ * @param {boolean} fromPicker - Pressed in the category picker
+ */
+async function handleSubscriptionToggle(ctx, type, slug, fromPicker = false) {
+  const db = await openDb();
+  let name;
+  try {
+    name = await findNameBySlug(db, TARGET_COLUMNS[type], slug);
+  } finally {
+    await closeDb(db);
+  }
+
+  if (!name) {
+    await ctx.answerCbQuery("❌ لم يعد هذا العنصر موجوداً");
+    return;
+  }
+
+  const subscribed = await toggleSubscription(ctx.from.id, type, name);
+  await ctx.answerCbQuery(
+    subscribed
+      ? "🔔 سنرسل لك إشعاراً عند إضافة كتب جديدة"
+      : "🔕 تم إلغاء المتابعة"
+  );
+
+  const data = ctx.callbackQuery.data;
+  const keyboard = ctx.callbackQuery.message.reply_markup.inline_keyboard.map(
+    (row) =>
+      row.map((button) => {
+        if (button.callback_data !== data) return button;
+        return fromPicker
+          ? Markup.button.callback(getPickerLabel(name, subscribed), data)
+          : getSubscriptionButton(type, name, subscribed);
+      })
+  );
+  await ctx.editMessageReplyMarkup(
+    Markup.inlineKeyboard(keyboard).reply_markup
+  );
+
+  logger.logInfo(subscribed ? "Subscribed" : "Unsubscribed", {
+    userId: ctx.from.id,
+    type,
+    name,
+  });
+}
+
+/**
+ * /subscribe - pick categories to follow
+ * @param {object} ctx - Telegraf context
+ */
+async function showCategoryPicker(ctx) {
+  const db = await openDb();
+  let categories;
+  try {
+    categories = await db.all(
+      `SELECT DISTINCT b.category,
+              s.id IS NOT NULL AS subscribed
+       FROM usol_books b
+       LEFT JOIN subscriptions s
+         ON s.user_id = ? AND s.target_type = 'category'
+        AND s.target_name = b.category
+       WHERE b.category IS NOT NULL AND b.category NOT IN ('111', '222')
+       ORDER BY b.category`,
+      [ctx.from.id]
+    );
+  } finally {
+    await closeDb(db);
+  }
+
+  const keyboard = categories.map(({ category, subscribed }) => [
+    Markup.button.callback(
+      getPickerLabel(category, !!subscribed),
+      `sub_pick_${getNameSlug(category)}`
+    ),
+  ]);
+  keyboard.push([Markup.button.callback("📋 اشتراكاتي", "sub_list")]);
+
+  const message =
+    "<b>🔔 متابعة الأقسام</b>\n\nاضغط على قسم لمتابعته أو إلغاء متابعته، وستصلك رسالة عند إضافة كتب جديدة إليه.\nلمتابعة مؤلف افتح صفحته من «✍️ المؤلفون».";
+  const extra = {
+    parse_mode: "HTML",
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
+  };
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(message, extra);
+  } else {
+    await ctx.reply(message, extra);
+  }
+}
+
+/**
+ * /subscriptions - list followed categories and authors with remove buttons
+ * @param {object} ctx - Telegraf context
+ */
+async function showSubscriptions(ctx) {
+  const db = await openDb();
+  let subscriptions;
+  try {
+    subscriptions = await db.all(
+      `SELECT id, target_type, target_name FROM subscriptions
+       WHERE user_id = ?
+       ORDER BY target_type, target_name`,
+      [ctx.from.id]
+    );
+  } finally {
+    await closeDb(db);
+  }
+
+  let message = "<b>📋 اشتراكاتي</b>\n\n";
+  const keyboard = [];
+  if (subscriptions.length === 0) {
+    message += "📭 لا تتابع أي قسم أو مؤلف بعد.";
+  } else {
+    message += "اضغط على ❌ لإلغاء المتابعة:\n\n";
+    subscriptions.forEach((subscription) => {
+      const icon = subscription.target_type === "category" ? "📂" : "✍️";
+      message += `${icon} ${sanitizeHtml(subscription.target_name)}\n`;
+      keyboard.push([
+        Markup.button.callback(
+          `❌ ${icon} ${subscription.target_name}`,
+          `sub_remove_${subscription.id}`
+        ),
+      ]);
+    });
+    keyboard.push([
+      Markup.button.callback("🗑 إلغاء جميع الاشتراكات", "sub_remove_all"),
+    ]);
+  }
+  keyboard.push([Markup.button.callback("🔔 متابعة الأقسام", "sub_picker")]);
+
+  const extra = {
+    parse_mode: "HTML",
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup,
+  };
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery();
+    await ctx.editMessageText(message, extra);
+  } else {
+    await ctx.reply(message, extra);
+  }
+}
+
+/**
+ * Remove one or all subscriptions from the /subscriptions list
+ * @param {object} ctx - Telegraf context
+ * @param {number|null} subscriptionId - Subscription ID (null = all)
+ */
+async function handleRemoveSubscription(ctx, subscriptionId) {
+  const db = await openDb();
+  try {
+    if (subscriptionId === null) {
+      await db.run("DELETE FROM subscriptions WHERE user_id = ?", [
+        ctx.from.id,
+      ]);
+    } else {
+      await db.run("DELETE FROM subscriptions WHERE id = ? AND user_id = ?", [
+        subscriptionId,
+        ctx.from.id,
+      ]);
+    }
+  } finally {
+    await closeDb(db);
+  }
+  await showSubscriptions(ctx);
+}
+
+/**
+ * Queue a notification for every subscriber of books added since the
+ * last run. The first run only records the current catalog.
+ * @param {object} db - Database connection
+ * @returns {Promise<number>} Notifications queued
+ */
+async function queueNewBooks(db) {
+  const { maxId } = await db.get(
+    "SELECT COALESCE(MAX(id), 0) AS maxId FROM usol_books"
+  );
+  const cursor = await db.get("SELECT value FROM settings WHERE key = ?", [
+    CURSOR_KEY,
+  ]);
+  const lastId = cursor ? parseInt(cursor.value, 10) : maxId;
+  if (cursor && lastId >= maxId) return 0;
+
+  let queued = 0;
+  await db.exec("BEGIN");
+  try {
+    if (cursor) {
+      const result = await db.run(
+        `INSERT OR IGNORE INTO subscription_notifications (user_id, book_id)
+         SELECT s.user_id, b.id
+         FROM usol_books b
+         JOIN subscriptions s
+           ON (s.target_type = 'category' AND s.target_name = b.category)
+           OR (s.target_type = 'author' AND s.target_name = b.author_name)
+         WHERE b.id > ? AND b.id <= ?`,
+        [lastId, maxId]
+      );
+      queued = result.changes;
+    }
+    await db.run(
+      `INSERT INTO settings (key, value, updated_at)
+       VALUES (?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT(key) DO UPDATE SET
+         value = excluded.value, updated_at = excluded.updated_at`,
+      [CURSOR_KEY, String(maxId)]
+    );
+    await db.exec("COMMIT");
+  } catch (error) {
+    await db.exec("ROLLBACK").catch(() => {});
+    throw error;
+  }
+  return queued;
+}
+
+/**
+ * Send each subscriber one message listing all their queued books
+ * A 429 stops the run; unsent notifications stay queued for the next one.
+ * @param {object} telegram - Telegraf telegram instance
+ * @param {object} db - Database connection
+ * @returns {Promise<number>} Users notified
+ */
+async function sendQueuedNotifications(telegram, db) {
+  const rows = await db.all(
+    `SELECT n.user_id, b.id, b.book_name, b.author_name, b.category
+     FROM subscription_notifications n
+     JOIN usol_books b ON b.id = n.book_id
+     JOIN users u ON u.user_id = n.user_id
+     WHERE n.sent_at IS NULL AND u.is_active = 1 AND u.is_banned = 0
+     ORDER BY n.user_id, b.id`
+  );
+
+  const booksByUser = new Map();
+  rows.forEach(({ user_id: userId, ...book }) => {
+    if (!booksByUser.has(userId)) booksByUser.set(userId, []);
+    booksByUser.get(userId).push(book);
+  });
+
+  const { maxBooksPerMessage, messagesPerSecond } = config.subscriptions;
+  let notified = 0;
+  for (const [userId, books] of booksByUser) {
+    let message = "🔔 <b>كتب جديدة مما تتابعه</b>\n\n";
+    books.slice(0, maxBooksPerMessage).forEach((book) => {
+      message += `📖 <b>${sanitizeHtml(book.book_name)}</b>\n`;
+      message += `   ✍️ ${sanitizeHtml(book.author_name)} • 📂 ${sanitizeHtml(
+        book.category || "غير محدد"
+      )}\n`;
+      message += `   📥 /book_${book.id}\n\n`;
+    });
+    if (books.length > maxBooksPerMessage) {
+      message += `➕ و ${
+        books.length - maxBooksPerMessage
+      } كتب أخرى في الأقسام والمؤلفين الذين تتابعهم.\n`;
+    }
+    message += "\n⚙️ إدارة الاشتراكات: /subscriptions";
+
+    try {
+      await telegram.sendMessage(userId, message, { parse_mode: "HTML" });
+      notified++;
+    } catch (error) {
+      if (error.code === 429) {
+        logger.logWarning("Subscription notifications rate limited", {
+          retryAfter: error.parameters && error.parameters.retry_after,
+        });
+        break;
+      }
+      if (error.code === 403) {
+        await db.run("UPDATE users SET is_active = 0 WHERE user_id = ?", [
+          userId,
+        ]);
+      }
+      logger.logWarning("Could not send subscription notification", {
+        userId,
+        error: error.message,
+      });
+    }
+
+    // Delivered or undeliverable: either way these books are done
+    await db.run(
+      `UPDATE subscription_notifications SET sent_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND sent_at IS NULL AND book_id <= ?`,
+      [userId, books[books.length - 1].id]
+    );
+    await sleep(1000 / messagesPerSecond);
+  }
+  return notified;
+}
+
+/**
+ * One scheduler tick: queue new books, then send the queued batches
+ * @param {object} telegram - Telegraf telegram instance
+ */
+async function runSubscriptionNotifications(telegram) {
+  if (running) return;
+  running = true;
+  try {
+    const db = await openDb();
+    try {
+      const queued = await queueNewBooks(db);
+      const notified = await sendQueuedNotifications(telegram, db);
+      if (queued > 0 || notified > 0) {
+        logger.logInfo("Subscription notifications sent", {
+          queued,
+          notified,
+        });
+      }
+    } finally {
+      await closeDb(db);
+    }
+  } catch (error) {
+    logger.logError("Subscription notification run failed", error);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Check for new books on an interval
+ * Books added within one interval (e.g. a bulk import) reach each
+ * subscriber as a single message.
+ * @param {object} telegram - Telegraf telegram instance
+ * @returns {object} Interval handle
+ */
+function startSubscriptionNotifications(telegram) {
+  runSubscriptionNotifications(telegram);
+  return setInterval(
+    () => runSubscriptionNotifications(telegram),
+    config.subscriptions.pollIntervalMinutes * 60 * 1000
+  );
+}
+
+module.exports = {
+  isSubscribed,
+  toggleSubscription,
+  getSubscriptionButton,
+  handleSubscriptionToggle,
+  showCategoryPicker,
+  showSubscriptions,
+  handleRemoveSubscription,
+  runSubscriptionNotifications,
+  startSubscriptionNotifications,
+};
@@ -0,0 +1,191 @@
+const natural = require("natural");
+const config = require("./config");
+
+// Tanween, harakat, shadda, sukun and superscript alef. Kept short: each
+// entry nests one more REPLACE() in the SQL expression.
+const DIACRITICS = [
+  ...Array.from({ length: 0x0652 - 0x064b + 1 }, (_, i) =>
+    String.fromCharCode(0x064b + i)
+  ),
+  "ٰ",
+];
+const TATWEEL = "ـ";
+
+// Persian/Arabic letter variants folded to a single form for matching.
+// Shared by the JS normalizer and the SQL expression used by the FTS triggers,
+// so both sides of a full-text lookup see the same text.
+const CHAR_REPLACEMENTS = [
+  ...DIACRITICS.map((mark) => [mark, ""]),
+  [TATWEEL, ""],
+  ["ک", "ك"],
+  ["ی", "ي"],
+  ["ى", "ي"],
+  ["ئ", "ي"],
+  ["ؤ", "و"],
+  ["إ", "ا"],
+  ["أ", "ا"],
+  ["آ", "ا"],
+  ["ة", "ه"],
+];
+
+// Attached conjunctions/prepositions with the definite article, longest first
+const PREFIXES = ["وال", "فال", "بال", "كال", "لل", "ال"];
+
+// Plural, dual, relative and pronoun endings (after letter folding), longest first
+const SUFFIXES = ["هاي", "ات", "ان", "ون", "ين", "يه", "ها", "ه", "ي"];
+
+// Function words that carry no meaning in a title
+const STOP_WORDS = new Set([
+  "في",
+  "من",
+  "الي",
+  "عن",
+  "مع",
+  "او",
+  "ثم",
+  "و",
+  "از",
+  "در",
+  "به",
+  "با",
+  "كه",
+  "را",
+]);
+
+// Split on anything that is not a letter or digit
+const tokenizer = new natural.RegexpTokenizer({ pattern: /[^\p{L}\p{N}]+/u });
+
+// Analyzed forms of book and author names, reused across searches
+const analysisCache = new Map();
+const ANALYSIS_CACHE_SIZE = 10000;
+
+/**
+ * Normalize Persian/Arabic characters for better matching
+ * Strips tashkeel and tatweel and folds letter variants.
+ * @param {string} text - Input text
+ * @returns {string} Normalized text
+ */
+function normalizePersianArabicChars(text) {
+  return CHAR_REPLACEMENTS.reduce(
+    (result, [from, to]) => result.split(from).join(to),
+    text
+  ).trim();
+}
+
+/**
+ * Build an SQL expression applying normalizePersianArabicChars to a column
+ * @param {string} column - Column or expression to normalize
+ * @returns {string} SQL expression
+ */
+function sqlNormalizeExpression(column) {
+  const replaced = CHAR_REPLACEMENTS.reduce(
+    (expression, [from, to]) => `REPLACE(${expression}, '${from}', '${to}')`,
+    column
+  );
+  return `TRIM(${replaced})`;
+}
+
+/**
+ * Split normalized text into lowercase word tokens
+ * @param {string} text - Input text
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+  return tokenizer.tokenize(normalizePersianArabicChars(text).toLowerCase());
+}
+
+/**
+ * Light-stem a token: drop one prefix and one suffix, keeping a stem
+ * of at least three letters so short roots are not destroyed
+ * @param {string} token - Normalized token
+ * @returns {string} Stem
+ */
+function stem(token) {
+  let result = token;
+
+  const prefix = PREFIXES.find(
+    (p) => result.startsWith(p) && result.length - p.length >= 2
+  );
+  if (prefix) {
+    result = result.slice(prefix.length);
+  }
+
+  const suffix = SUFFIXES.find(
+    (s) => result.endsWith(s) && result.length - s.length >= 3
+  );
+  if (suffix) {
+    result = result.slice(0, -suffix.length);
+  }
+
+  return result;
+}
+
+/**
+ * Analyze text into stems: normalize, tokenize, drop stop words, stem
+ * @param {string} text - Input text
+ * @returns {Array<string>} Unique stems in order of appearance
+ */
+function analyzeText(text) {
+  const cached = analysisCache.get(text);
+  if (cached) return cached;
+
+  const stems = [
+    ...new Set(
+      tokenize(text)
+        .filter((token) => !STOP_WORDS.has(token))
+        .map(stem)
+    ),
+  ];
+
+  if (analysisCache.size >= ANALYSIS_CACHE_SIZE) {
+    analysisCache.clear();
+  }
+  analysisCache.set(text, stems);
+  return stems;
+}
+
+/**
+ * Similarity of two stems, tolerant to small typos
+ * @param {string} a - First stem
+ * @param {string} b - Second stem
+ * @returns {number} Similarity (0-1), 0 below the configured threshold
+ */
+function stemSimilarity(a, b) {
+  if (a === b) return 1;
+  const similarity = natural.JaroWinklerDistance(a, b);
+  return similarity >= config.search.tokenSimilarityThreshold ? similarity : 0;
+}
+
+/**
+ * Score how well a field's stems cover the query's stems
+ * Weighted towards recall, so "الكافي" fully matches "أصول الكافي" but the
+ * exact title still ranks above it.
+ * @param {Array<string>} queryStems - Analyzed query
+ * @param {Array<string>} fieldStems - Analyzed field
+ * @returns {number} Overlap score (0-1)
+ */
+function tokenOverlap(queryStems, fieldStems) {
+  if (queryStems.length === 0 || fieldStems.length === 0) return 0;
+
+  const matched = queryStems.reduce(
+    (sum, queryStem) =>
+      sum +
+      Math.max(
+        ...fieldStems.map((fieldStem) => stemSimilarity(queryStem, fieldStem))
+      ),
+    0
+  );
+  const recall = matched / queryStems.length;
+  const precision = Math.min(matched / fieldStems.length, 1);
+  return 0.75 * recall + 0.25 * precision;
+}
+
+module.exports = {
+  CHAR_REPLACEMENTS,
+  normalizePersianArabicChars,
+  sqlNormalizeExpression,
+  tokenize,
+  stem,
+  analyzeText,
+  tokenOverlap,
+};
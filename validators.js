@@ -1,19 +1,22 @@
 const Joi = require("joi");
+const config = require("./config");
 const logger = require("./logger");
 
 /**
  * Validate user input for search
  * @param {object} ctx - Telegraf context
  * @param {string} userInput - User input text
+ * @param {number} maxLength - Maximum input length
  * @returns {boolean} Is valid
  */
-async function validateUserInput(ctx, userInput) {
+async function validateUserInput(
+  ctx,
+  userInput,
+  maxLength = config.search.maxQueryLength
+) {
   // Check for English letters
   if (/[A-Za-z]/.test(userInput)) {
-    await ctx.reply(
-      "❌ <b>خطأ</b>: يُرجى استخدام الأحرف الفارسية أو العربية فقط.",
-      { parse_mode: "HTML" }
-    );
+    await ctx.reply(ctx.t("input.englishLetters"), { parse_mode: "HTML" });
     logger.logWarning("User input contains English letters", {
       userId: ctx.from.id,
       input: userInput,
@@ -22,11 +25,10 @@ async function validateUserInput(ctx, userInput) {
   }
 
   // Check length
-  if (userInput.length > 37) {
-    await ctx.reply(
-      "❌ <b>خطأ</b>: النص المُدخل أطول من الحدّ المسموح به<b>(الحد الأقصى 40 حرفًا)</b>.",
-      { parse_mode: "HTML" }
-    );
+  if (userInput.length > maxLength) {
+    await ctx.reply(ctx.t("input.tooLong", { max: maxLength }), {
+      parse_mode: "HTML",
+    });
     logger.logWarning("User input too long", {
       userId: ctx.from.id,
       length: userInput.length,
@@ -34,22 +36,16 @@ async function validateUserInput(ctx, userInput) {
     return false;
   }
 
-  // Check for emojis
-  if (/\p{Emoji}/u.test(userInput)) {
-    await ctx.reply(
-      "❌ <b>خطأ</b>: النص المُدخل يحتوي على ايموجي، يُرجى إدخال نصوص فقط.",
-      { parse_mode: "HTML" }
-    );
+  // Check for emojis (\p{Emoji} would also match plain digits)
+  if (/\p{Extended_Pictographic}/u.test(userInput)) {
+    await ctx.reply(ctx.t("input.emoji"), { parse_mode: "HTML" });
     logger.logWarning("User input contains emoji", { userId: ctx.from.id });
     return false;
   }
 
   // Check for media
   if (ctx.message.photo || ctx.message.video || ctx.message.document) {
-    await ctx.reply(
-      "❌ <b>خطأ</b>: لا يُسمح بإرسال الصور أو الفيديو أو الملفات في هذا البحث.",
-      { parse_mode: "HTML" }
-    );
+    await ctx.reply(ctx.t("input.media"), { parse_mode: "HTML" });
     logger.logWarning("User sent media instead of text", {
       userId: ctx.from.id,
     });
@@ -104,6 +100,159 @@ function validateCategory(category) {
   return true;
 }
 
+/**
+ * Validate book name
+ * @param {string} bookName - Book name to validate
+ * @returns {boolean} Is valid
+ */
+function validateBookName(bookName) {
+  const schema = Joi.string().trim().min(1).max(200);
+  const { error } = schema.validate(bookName);
+  if (error) {
+    logger.logWarning("Invalid book name", { bookName, error: error.message });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validate author name
+ * @param {string} authorName - Author name to validate
+ * @returns {boolean} Is valid
+ */
+function validateAuthorName(authorName) {
+  const schema = Joi.string().trim().min(1).max(150);
+  const { error } = schema.validate(authorName);
+  if (error) {
+    logger.logWarning("Invalid author name", {
+      authorName,
+      error: error.message,
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Validate book language against the configured languages
+ * @param {string} language - Language key (e.g. "arabic")
+ * @returns {boolean} Is valid
+ */
+function validateLanguage(language) {
+  const schema = Joi.string().valid(...Object.keys(config.books.languages));
+  const { error } = schema.validate(language);
+  if (error) {
+    logger.logWarning("Invalid language", { language, error: error.message });
+    return false;
+  }
+  return true;
+}
+
+// Schema for one row of a catalog import file
+const bookRowSchema = Joi.object({
+  book_name: Joi.string().trim().min(1).max(200).required(),
+  author_name: Joi.string().trim().min(1).max(150).required(),
+  category: Joi.string().trim().min(1).max(100).required(),
+  // No default here: an empty language must not overwrite existing books
+  language: Joi.string()
+    .trim()
+    .valid(...Object.keys(config.books.languages)),
+  file_path: Joi.string().trim().allow(null),
+  emergency_file_path: Joi.string().trim().allow(null),
+  word_file_path: Joi.string().trim().allow(null),
+  zip_file_path: Joi.string().trim().allow(null),
+}).options({ stripUnknown: true });
+
+/**
+ * Validate a catalog import row
+ * Empty cells are treated as missing values.
+ * @param {object} row - Raw row keyed by column name
+ * @returns {{value: object, error: string|null}} Normalized row and error message
+ */
+function validateBookRow(row) {
+  const cleaned = {};
+  for (const [key, value] of Object.entries(row)) {
+    const text = value === null || value === undefined ? "" : String(value);
+    if (text.trim() !== "") {
+      cleaned[key] = text;
+    }
+  }
+
+  const { value, error } = bookRowSchema.validate(cleaned, {
+    abortEarly: false,
+  });
+  return {
+    value,
+    error: error ? error.details.map((d) => d.message).join("; ") : null,
+  };
+}
+
+// Words rejected in user-written text (matched as whole words after
+// folding Persian/Arabic letter variants)
+const BANNED_WORDS = [
+  "حقير",
+  "حقيره",
+  "كس",
+  "زب",
+  "شرموط",
+  "شرموطه",
+  "عاهره",
+  "منيوك",
+  "كثافت",
+  "جنده",
+  "حرومزاده",
+  "fuck",
+  "shit",
+  "bitch",
+];
+
+/**
+ * Fold letter variants so banned words match regardless of spelling
+ * @param {string} text - Text to fold
+ * @returns {string} Folded text
+ */
+function foldForProfanityCheck(text) {
+  return text
+    .toLowerCase()
+    .replace(/[\u064B-\u065F\u0670\u0640]/g, "")
+    .replace(/ک/g, "ك")
+    .replace(/[یىئ]/g, "ي")
+    .replace(/[إأآ]/g, "ا")
+    .replace(/ة/g, "ه");
+}
+
+/**
+ * Check text for banned words
+ * @param {string} text - Text to check
+ * @returns {boolean} Contains profanity
+ */
+function containsProfanity(text) {
+  const words = foldForProfanityCheck(text).split(/[^\p{L}]+/u);
+  return words.some((word) => BANNED_WORDS.includes(word));
+}
+
+/**
+ * Validate review text
+ * @param {string} review - Review text
+ * @returns {{valid: boolean, reason: string|null}} Validation result
+ */
+function validateReviewText(review) {
+  const schema = Joi.string()
+    .trim()
+    .min(config.reviews.minLength)
+    .max(config.reviews.maxLength);
+  const { error } = schema.validate(review);
+  if (error) {
+    logger.logWarning("Invalid review length", { error: error.message });
+    return { valid: false, reason: "length" };
+  }
+  if (containsProfanity(review)) {
+    logger.logWarning("Review contains banned words");
+    return { valid: false, reason: "profanity" };
+  }
+  return { valid: true, reason: null };
+}
+
 /**
  * Sanitize text for HTML output
  * @param {string} text - Text to sanitize
@@ -139,6 +288,12 @@ module.exports = {
   validateBookId,
   validateUserId,
   validateCategory,
+  validateBookName,
+  validateAuthorName,
+  validateLanguage,
+  validateBookRow,
   validateRating,
+  validateReviewText,
+  containsProfanity,
   sanitizeHtml,
 };